@@ -0,0 +1,97 @@
+import { readdir } from 'fs/promises';
+import path from 'path';
+import yauzl from 'yauzl';
+import { matchesAnyGlob, toGlobList } from './search.mjs';
+
+/**
+ * Read all the files of a ZIP archive
+ * @param {Buffer} buffer - Content of the ZIP file
+ * @param {Object} options - Limits
+ * @param {number} options.maxEntries - Maximum number of entries in the archive
+ * @param {number} options.maxTotalSize - Maximum total uncompressed size (bytes)
+ * @returns {Promise<Array>} - Array of {path, content} (directory entries are not returned)
+ * @throws {Error} If the archive is invalid, contains a forbidden path or exceeds a limit (statusCode 400 or 413)
+ */
+export async function readZipArchive(buffer, { maxEntries, maxTotalSize }) {
+    let zipfile;
+    try {
+        // yauzl rejects absolute paths and paths containing ".." (zip-slip)
+        zipfile = await yauzl.fromBufferPromise(buffer, { strictFileNames: true });
+    } catch (err) {
+        const error = new Error(`Invalid ZIP archive: ${err.message}`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    if (zipfile.entryCount > maxEntries) {
+        zipfile.close();
+        const error = new Error(`Too many entries in the archive (${zipfile.entryCount}, maximum ${maxEntries})`);
+        error.statusCode = 413;
+        throw error;
+    }
+
+    const files = [];
+    let totalSize = 0;
+    try {
+        for await (const entry of zipfile.eachEntry()) {
+            if (entry.fileName.endsWith('/')) {
+                continue;
+            }
+            totalSize += entry.uncompressedSize;
+            if (totalSize > maxTotalSize) {
+                const error = new Error(`The uncompressed archive is too big (maximum ${maxTotalSize} bytes)`);
+                error.statusCode = 413;
+                throw error;
+            }
+            // the read stream checks that the real size matches the declared size
+            const readStream = await zipfile.openReadStreamPromise(entry);
+            const chunks = [];
+            for await (const chunk of readStream) {
+                chunks.push(chunk);
+            }
+            files.push({ path: entry.fileName, content: Buffer.concat(chunks) });
+        }
+    } catch (err) {
+        if (err.statusCode) {
+            throw err;
+        }
+        const error = new Error(`Invalid ZIP archive: ${err.message}`);
+        error.statusCode = 400;
+        throw error;
+    } finally {
+        zipfile.close();
+    }
+    return files;
+}
+
+/**
+ * List the files of a directory to put in an archive
+ * @param {string} baseDir - Directory to archive
+ * @param {Object} [options] - Filters
+ * @param {string|Array<string>} [options.include] - Globs of the files to archive (all files if empty)
+ * @param {string|Array<string>} [options.exclude] - Globs of the files to skip
+ * @param {function} [options.isIgnored] - isIgnored(relativePath, isDirectory) returns true for the files never archived (see loadIgnoreRules)
+ * @returns {Promise<Array<string>>} - Paths of the files relative to baseDir (with "/" separators)
+ */
+export async function listFilesToArchive(baseDir, { include, exclude, isIgnored = () => false } = {}) {
+    const includeGlobs = toGlobList(include);
+    const excludeGlobs = toGlobList(exclude);
+    const results = [];
+    const listDir = async (dir) => {
+        const list = await readdir(dir, { withFileTypes: true });
+        for (const entry of list) {
+            const filePath = path.join(dir, entry.name);
+            const relativePath = path.relative(baseDir, filePath).split(path.sep).join('/');
+            if (isIgnored(relativePath, entry.isDirectory()) || matchesAnyGlob(relativePath, excludeGlobs)) {
+                continue;
+            }
+            if (entry.isDirectory()) {
+                await listDir(filePath);
+            } else if (includeGlobs.length === 0 || matchesAnyGlob(relativePath, includeGlobs)) {
+                results.push(relativePath);
+            }
+        }
+    };
+    await listDir(baseDir);
+    return results;
+}
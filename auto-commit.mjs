@@ -0,0 +1,190 @@
+import { readdir, stat } from 'fs/promises';
+import path from 'path';
+import { watchWorktree } from './worktree-watcher.mjs';
+import { EDITOR_IGNORE_FILE, loadIgnoreRules } from './ignore-rules.mjs';
+import { commitFiles, getAppCommitAuthor, getFileContentAt, getOperationInProgress, getUncommittedFiles, withRepoLock } from './git.mjs';
+
+const DEFAULT_DELAY = 5000;
+// new apps and branches are discovered at this interval
+const RESCAN_INTERVAL = 60000;
+// the directories watched change when these files change
+const RULE_FILES = [".gitignore", EDITOR_IGNORE_FILE];
+
+/**
+ * Commit the modifications done outside of the file API (SSH / VS Code Remote access)
+ *
+ * The worktrees (public and branches) of the apps having an SSH user are watched, except their ignored directories.
+ * After a burst of modifications, the files that are still uncommitted are committed (the file API commits its own
+ * modifications right away)
+ */
+export class AutoCommitWatcher {
+    /**
+     * @param {Object} options - Options
+     * @param {string} options.dataDir - Data directory of the platform (containing apps/)
+     * @param {number} [options.delay=5000] - Delay (ms) without modification before committing
+     * @param {function} options.onCommitted - Called after each commit with {appName, basePath, files: [{path, previousPath, type, previousContent, newContent}]}
+     * @param {function} [options.isDraft] - isDraft(appName, basePath) returns true when the worktree must not be committed automatically
+     * @param {Object} [options.logger] - Logger
+     */
+    constructor({ dataDir, delay = DEFAULT_DELAY, onCommitted, isDraft, logger }) {
+        this.appsDir = path.join(dataDir, "apps");
+        this.delay = delay;
+        this.onCommitted = onCommitted;
+        this.isDraft = isDraft ?? (async () => false);
+        this.logger = logger;
+        // basePath -> {appName, watcher, timeout}
+        this.worktrees = new Map();
+    }
+
+    /**
+     * Start watching the worktrees
+     */
+    async start() {
+        await this.scan();
+        this.rescanInterval = setInterval(() => {
+            this.scan().catch(err => this.logger?.warn(`Error scan worktrees %o`, err));
+        }, RESCAN_INTERVAL);
+        this.rescanInterval.unref();
+    }
+
+    /**
+     * Stop all the watchers
+     */
+    stop() {
+        clearInterval(this.rescanInterval);
+        for (const worktree of this.worktrees.values()) {
+            clearTimeout(worktree.timeout);
+            worktree.watcher?.close();
+        }
+        this.worktrees.clear();
+    }
+
+    /**
+     * Watch the new worktrees and forget the removed ones
+     */
+    async scan() {
+        const found = new Map();
+        let apps = [];
+        try {
+            apps = await readdir(this.appsDir);
+        // eslint-disable-next-line no-unused-vars
+        } catch (err) {
+            // no app yet
+        }
+        for (const appName of apps) {
+            try {
+                // the home of the SSH user of the app is the app directory, its .ssh directory is created with the user (see ssh.mjs)
+                await stat(path.join(this.appsDir, appName, ".ssh"));
+            // eslint-disable-next-line no-unused-vars
+            } catch (err) {
+                // no SSH access to this app
+                continue;
+            }
+            const candidates = [path.join(this.appsDir, appName, "public")];
+            try {
+                const branches = await readdir(path.join(this.appsDir, appName, "branches"));
+                candidates.push(...branches.map(branch => path.join(this.appsDir, appName, "branches", branch)));
+            // eslint-disable-next-line no-unused-vars
+            } catch (err) {
+                // no branch
+            }
+            for (const basePath of candidates) {
+                try {
+                    // only the worktrees already managed by git
+                    await stat(path.join(basePath, ".git"));
+                    found.set(basePath, appName);
+                // eslint-disable-next-line no-unused-vars
+                } catch (err) {
+                    // not a git worktree
+                }
+            }
+        }
+
+        for (const [basePath, worktree] of this.worktrees) {
+            if (!found.has(basePath)) {
+                clearTimeout(worktree.timeout);
+                worktree.watcher?.close();
+                this.worktrees.delete(basePath);
+            }
+        }
+        for (const [basePath, appName] of found) {
+            if (this.worktrees.has(basePath)) {
+                continue;
+            }
+            const worktree = { appName };
+            this.worktrees.set(basePath, worktree);
+            await this.watch(basePath, worktree);
+        }
+    }
+
+    /**
+     * Start (or restart when the ignore rules change) the watcher of a worktree
+     */
+    async watch(basePath, worktree) {
+        const isIgnored = await loadIgnoreRules(basePath);
+        if (this.worktrees.get(basePath) !== worktree) {
+            // removed in the meantime
+            return;
+        }
+        worktree.watcher?.close();
+        worktree.watcher = watchWorktree(basePath, (relativePath) => {
+            if (RULE_FILES.includes(path.basename(relativePath))) {
+                this.watch(basePath, worktree).catch(err => this.logger?.warn(`Error watch ${basePath} %o`, err));
+            }
+            this.schedule(basePath);
+        }, { isIgnored, logger: this.logger });
+    }
+
+    schedule(basePath) {
+        const worktree = this.worktrees.get(basePath);
+        if (!worktree) {
+            return;
+        }
+        clearTimeout(worktree.timeout);
+        worktree.timeout = setTimeout(() => {
+            this.commit(basePath).catch(err => this.logger?.warn(`Error auto commit ${basePath} %o`, err));
+        }, this.delay);
+    }
+
+    /**
+     * Commit the uncommitted files of a worktree
+     */
+    async commit(basePath) {
+        const worktree = this.worktrees.get(basePath);
+        if (!worktree) {
+            return;
+        }
+        // the files must not change in git between their listing and their commit
+        const files = await withRepoLock(basePath, async () => {
+            if (await getOperationInProgress(basePath)) {
+                // files are committed when the merge is completed
+                return null;
+            }
+            if (await this.isDraft(worktree.appName, basePath)) {
+                // files are committed explicitly by the user
+                return null;
+            }
+            const uncommittedFiles = await getUncommittedFiles(basePath);
+            if (uncommittedFiles.length === 0) {
+                return null;
+            }
+            for (const file of uncommittedFiles) {
+                file.previousContent = await getFileContentAt(basePath, "HEAD", file.previousPath ?? file.path);
+            }
+            const paths = uncommittedFiles.flatMap(file => file.previousPath ? [file.previousPath, file.path] : [file.path]);
+            // the SSH user is the app itself
+            await commitFiles(basePath, paths, {
+                commitMessage: `SSH edit: ${uncommittedFiles.length} file${uncommittedFiles.length > 1 ? "s" : ""}`,
+                ...getAppCommitAuthor(worktree.appName)
+            });
+            for (const file of uncommittedFiles) {
+                file.newContent = await getFileContentAt(basePath, "HEAD", file.path);
+            }
+            return uncommittedFiles;
+        });
+        if (!files) {
+            return;
+        }
+        await this.onCommitted({ appName: worktree.appName, basePath, files });
+    }
+}
@@ -0,0 +1,156 @@
+import { stat } from 'fs/promises';
+import path from 'path';
+import { watchWorktree } from './worktree-watcher.mjs';
+
+// filesystem events are grouped during this delay before being sent
+const WATCHER_DEBOUNCE_DELAY = 1000;
+// a filesystem event on a file already notified by the file API during this delay is not sent again
+const PUBLISHED_EVENT_RETENTION = 3000;
+const HEARTBEAT_INTERVAL = 25000;
+
+/**
+ * Dispatch the file change events of the apps to the open editors (Server-Sent Events)
+ *
+ * Events are published by the file API and by a filesystem watcher started on each worktree
+ * as long as an editor listens to it, so changes done through SSH are seen too
+ */
+export class ChangeEventHub {
+    constructor({ logger } = {}) {
+        this.logger = logger;
+        this.subscribers = new Set();
+        // basePath -> {watcher, count, pending: Map(relativePath -> timeout)}
+        this.watchedWorktrees = new Map();
+        // basePath/relativePath -> timestamp of last event published by the file API
+        this.recentlyPublished = new Map();
+    }
+
+    /**
+     * Register an SSE connection
+     * @param {Object} options - Options
+     * @param {string} options.appName - Name of the app
+     * @param {string} options.basePath - Path of the worktree (public or branch directory) to listen to
+     * @param {Object} options.req - Express request
+     * @param {Object} options.res - Express response
+     */
+    subscribe({ appName, basePath, req, res }) {
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        // disable proxy buffering (nginx)
+        res.setHeader('X-Accel-Buffering', 'no');
+        res.flushHeaders();
+        res.write(`event: connected\ndata: ${JSON.stringify({ appName })}\n\n`);
+
+        const subscriber = { appName, basePath, res };
+        this.subscribers.add(subscriber);
+        this.startWatching(appName, basePath);
+
+        const heartbeat = setInterval(() => {
+            res.write(`: heartbeat\n\n`);
+        }, HEARTBEAT_INTERVAL);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            this.subscribers.delete(subscriber);
+            this.stopWatching(basePath);
+        });
+    }
+
+    /**
+     * Send an event to the editors listening to the app
+     * @param {Object} event - The event
+     * @param {string} event.appName - Name of the app
+     * @param {string} [event.basePath] - Path of the worktree concerned, if not set the event is sent to all the editors of the app (branch events)
+     * @param {string} event.type - created, modified, deleted, renamed, branch-created, branch-deleted or branch-renamed
+     * @param {string} [event.path] - Path of the file relative to the worktree
+     * @param {string} [event.previousPath] - Previous path of the file for renamed events
+     * @param {boolean} [event.isDirectory] - The event concerns a directory
+     * @param {string} [event.branch] - Name of the branch for branch events
+     * @param {string} [event.previousBranch] - Previous name of the branch for branch-renamed events
+     * @param {string} [event.source] - Origin of the change (api, ssh for the SSH modifications once committed, filesystem)
+     */
+    publish({ appName, basePath, type, path: relativePath, previousPath, isDirectory, branch, previousBranch, source = 'api' }) {
+        if (basePath && source !== 'filesystem') {
+            const now = Date.now();
+            for (const changedPath of [relativePath, previousPath]) {
+                if (changedPath) {
+                    this.recentlyPublished.set(path.join(basePath, changedPath), now);
+                }
+            }
+        }
+        const data = JSON.stringify({ type, path: relativePath, previousPath, isDirectory, branch, previousBranch, source, date: Date.now() });
+        for (const subscriber of this.subscribers) {
+            if (subscriber.appName !== appName || (basePath && subscriber.basePath !== basePath)) {
+                continue;
+            }
+            subscriber.res.write(`event: ${type}\ndata: ${data}\n\n`);
+        }
+    }
+
+    /**
+     * Start the filesystem watcher of a worktree (or count one more listener if it is already started)
+     */
+    startWatching(appName, basePath) {
+        let watched = this.watchedWorktrees.get(basePath);
+        if (!watched) {
+            watched = { count: 0, pending: new Map() };
+            watched.watcher = watchWorktree(basePath, (relativePath) => {
+                // group the bursts of events on the same file
+                clearTimeout(watched.pending.get(relativePath));
+                watched.pending.set(relativePath, setTimeout(() => {
+                    watched.pending.delete(relativePath);
+                    this.onFilesystemChange(appName, basePath, relativePath).catch(err => {
+                        this.logger?.warn(`Error on filesystem change ${relativePath} %o`, err);
+                    });
+                }, WATCHER_DEBOUNCE_DELAY));
+            }, { logger: this.logger });
+            this.watchedWorktrees.set(basePath, watched);
+        }
+        watched.count++;
+    }
+
+    /**
+     * Stop the filesystem watcher of a worktree when nobody listens to it anymore
+     */
+    stopWatching(basePath) {
+        const watched = this.watchedWorktrees.get(basePath);
+        if (!watched) {
+            return;
+        }
+        watched.count--;
+        if (watched.count <= 0) {
+            watched.watcher.close();
+            for (const timeout of watched.pending.values()) {
+                clearTimeout(timeout);
+            }
+            this.watchedWorktrees.delete(basePath);
+        }
+    }
+
+    async onFilesystemChange(appName, basePath, relativePath) {
+        const filePath = path.join(basePath, relativePath);
+        const now = Date.now();
+        for (const [publishedPath, date] of this.recentlyPublished) {
+            if (now - date > PUBLISHED_EVENT_RETENTION) {
+                this.recentlyPublished.delete(publishedPath);
+            }
+        }
+        if (this.recentlyPublished.has(filePath)) {
+            // already notified by the file API
+            return;
+        }
+        let statFile = null;
+        try {
+            statFile = await stat(filePath);
+        // eslint-disable-next-line no-unused-vars
+        } catch (err) {
+            // file deleted
+        }
+        let type = 'deleted';
+        if (statFile) {
+            // a file created less than the debounce delay ago is a new file
+            type = now - statFile.birthtimeMs < WATCHER_DEBOUNCE_DELAY * 2 ? 'created' : 'modified';
+        }
+        this.publish({ appName, basePath, type, path: relativePath, isDirectory: statFile?.isDirectory(), source: 'filesystem' });
+    }
+}
@@ -0,0 +1,114 @@
+// maximum time (ms) given to each listener hook
+const DEFAULT_LISTENER_TIMEOUT = 10000;
+
+const BEFORE_HOOKS = {
+    save: "beforeSave",
+    delete: "beforeDelete",
+    deleteDir: "beforeDelete",
+    rename: "beforeRename",
+    createDir: "beforeSave",
+    npm: "beforeSave"
+};
+
+/**
+ * Normalize the listeners registered in pluginSlots.changesListeners
+ *
+ * A listener is either a function, called after each change (same as afterChange), or an object :
+ *  - name : name used in the logs and error messages
+ *  - priority : the listeners with a higher priority are called first (default 0)
+ *  - timeout : maximum time (ms) for each call (default 10s)
+ *  - beforeSave(event), beforeDelete(event), beforeRename(event) : called before the modification, they can return
+ *    {reject: "message"} to refuse it (the message is shown to the user) or, for beforeSave, {content} to replace the saved content
+ *  - afterChange(event) : called after the modification
+ *
+ * The event is {appName, basePath, filePath, relativePath, previousFilePath, previousRelativePath, previousContent, newContent, changeType}
+ * (changeType is save, delete, deleteDir, rename, createDir or npm, newContent is undefined for createDir and npm : an npm job
+ * rewrites the package.json and package-lock.json, their content is only known once npm ran)
+ *
+ * @param {Array} listeners - Registered listeners
+ * @returns {Array<Object>} - Listeners as objects, sorted by priority
+ */
+export function normalizeListeners(listeners = []) {
+    return listeners
+        .map((listener, index) => typeof listener === "function"
+            ? { name: listener.name || `listener ${index}`, priority: 0, afterChange: listener }
+            : { name: `listener ${index}`, priority: 0, ...listener })
+        // sort is stable, the listeners of same priority keep their registration order
+        .sort((a, b) => (b.priority ?? 0) - (a.priority ?? 0));
+}
+
+/**
+ * Wait for a promise, or reject after a maximum time
+ * @param {Promise} promise - The promise
+ * @param {number} timeout - Maximum time (ms)
+ * @param {string} message - Error message of the timeout
+ * @returns {Promise} - The result of the promise
+ */
+export function withTimeout(promise, timeout, message) {
+    let timer;
+    return Promise.race([
+        promise,
+        new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(message)), timeout);
+        })
+    ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Call the before hooks of the listeners, one after the other
+ * @param {Array<Object>} listeners - Normalized listeners (see normalizeListeners)
+ * @param {Object} event - The change event (changeType is save, delete, deleteDir, rename, createDir or npm)
+ * @returns {Promise<Buffer|undefined>} - The content to save (possibly modified by the listeners) for a save
+ * @throws {Error} If a listener refuses the change (statusCode 400) or fails (statusCode 500)
+ */
+export async function runBeforeHooks(listeners, event) {
+    const hookName = BEFORE_HOOKS[event.changeType];
+    let newContent = event.newContent;
+    for (const listener of listeners) {
+        if (typeof listener[hookName] !== "function") {
+            continue;
+        }
+        let result;
+        try {
+            result = await withTimeout(Promise.resolve().then(() => listener[hookName]({ ...event, newContent })),
+                listener.timeout ?? DEFAULT_LISTENER_TIMEOUT, `The listener ${listener.name} timed out`);
+        } catch (err) {
+            const error = new Error(`Error in the listener ${listener.name}: ${err.message}`);
+            error.statusCode = 500;
+            error.listener = listener.name;
+            throw error;
+        }
+        if (result?.reject) {
+            const error = new Error(typeof result.reject === "string" ? result.reject : `Refused by ${listener.name}`);
+            error.statusCode = 400;
+            error.listener = listener.name;
+            throw error;
+        }
+        if (result?.content !== undefined && event.changeType === "save") {
+            newContent = Buffer.isBuffer(result.content) ? result.content : Buffer.from(String(result.content), "utf-8");
+        }
+    }
+    return newContent;
+}
+
+/**
+ * Call the after hooks of the listeners, one after the other. A failing or too long listener is logged
+ * and does not prevent the next ones to run
+ * @param {Array<Object>} listeners - Normalized listeners (see normalizeListeners)
+ * @param {Object} event - The change event
+ * @param {Object} [options] - Options
+ * @param {Object} [options.logger] - Logger
+ */
+export async function runAfterHooks(listeners, event, { logger } = {}) {
+    for (const listener of listeners) {
+        if (typeof listener.afterChange !== "function") {
+            continue;
+        }
+        try {
+            await withTimeout(Promise.resolve().then(() => listener.afterChange(event)),
+                listener.timeout ?? DEFAULT_LISTENER_TIMEOUT, `The listener ${listener.name} timed out`);
+        } catch (err) {
+            logger?.warn(`Error in changes listener ${listener.name} on ${event.relativePath} %o`, err);
+        }
+    }
+}
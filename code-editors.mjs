@@ -0,0 +1,102 @@
+import mime from 'mime';
+import { matchesAnyGlob } from './search.mjs';
+import { matchesMimeType } from './code-tools.mjs';
+
+// the editors provided by this plugin, added to the editors registered by the other plugins
+export const BUILT_IN_CODE_EDITORS = [
+    {
+        id: "code-editor:package-json",
+        plugin: "code-editor",
+        name: "package.json",
+        entryUrl: "/plugin/:appName/code-editor/js/code-editor-package/code-editor-package-json.mjs",
+        filePatterns: ["package.json"],
+        priority: 10
+    },
+    {
+        id: "code-editor:monaco",
+        plugin: "code-editor",
+        name: "Code",
+        entryUrl: "/plugin/:appName/code-editor/js/code-editor-monaco.mjs",
+        priority: 0
+    },
+    {
+        id: "code-editor:file",
+        plugin: "code-editor",
+        name: "File",
+        entryUrl: "/plugin/:appName/code-editor/js/code-editor-file.mjs",
+        priority: -10
+    }
+];
+
+/**
+ * Normalize the editors registered in pluginSlots.codeEditors, the duplicates (same id) are removed
+ *
+ * An editor is an object :
+ *  - id : unique id (default plugin:entryUrl)
+ *  - plugin : plugin providing the editor
+ *  - name : name displayed to the user (default id)
+ *  - entryUrl : URL of the module of the editor (":appName" is replaced), extensionPath is still accepted
+ *  - filePatterns : globs of the files handled by the editor (globs without "/" match the file name in any directory)
+ *  - mimeTypes : mime types handled by the editor, "text/*" matches all the text types
+ *  - priority : the editors with a higher priority are proposed first (default 0)
+ * An editor without filePatterns nor mimeTypes handles all the files
+ *
+ * @param {Array<Object>} editors - Registered editors
+ * @returns {Array<Object>} - The editors, sorted by priority
+ */
+export function normalizeCodeEditors(editors = []) {
+    const byId = new Map();
+    for (const editor of editors) {
+        const entryUrl = editor.entryUrl ?? editor.extensionPath;
+        if (!entryUrl) {
+            continue;
+        }
+        const id = editor.id ?? `${editor.plugin}:${entryUrl}`;
+        // the first registration wins, the plugins loaded again don't add the same editor twice
+        if (byId.has(id)) {
+            continue;
+        }
+        byId.set(id, {
+            id,
+            plugin: editor.plugin,
+            name: editor.name ?? id,
+            entryUrl,
+            filePatterns: editor.filePatterns ?? [],
+            mimeTypes: editor.mimeTypes ?? [],
+            priority: editor.priority ?? 0
+        });
+    }
+    // sort is stable, the editors of same priority keep their registration order
+    return [...byId.values()].sort((a, b) => b.priority - a.priority);
+}
+
+/**
+ * Check if an editor handles a file
+ * @param {Object} editor - Normalized editor
+ * @param {string} relativePath - Path of the file, with "/" separators
+ * @param {string} [mimeType] - Mime type of the file, guessed from its name if not given
+ * @returns {boolean} - True if the editor handles the file
+ */
+export function editorHandlesFile(editor, relativePath, mimeType) {
+    if (editor.filePatterns.length === 0 && editor.mimeTypes.length === 0) {
+        return true;
+    }
+    return matchesAnyGlob(relativePath, editor.filePatterns)
+        || matchesMimeType(mimeType ?? mime.getType(relativePath), editor.mimeTypes);
+}
+
+/**
+ * Build the manifest of the editors of an app
+ * @param {Array<Object>} editors - Normalized editors (see normalizeCodeEditors)
+ * @param {Object} options - Options
+ * @param {string} options.appName - Name of the app used in the entry URLs
+ * @param {Object} [options.enabledEditors] - id -> false for the editors disabled in the app (settings)
+ * @returns {Array<Object>} - {id, plugin, name, entryUrl, filePatterns, mimeTypes, priority, enabled}
+ */
+export function buildEditorManifest(editors, { appName, enabledEditors = {} }) {
+    return editors.map(editor => ({
+        ...editor,
+        entryUrl: editor.entryUrl.replaceAll(":appName", appName),
+        enabled: enabledEditors[editor.id] !== false
+    }));
+}
@@ -0,0 +1,167 @@
+import path from 'path';
+import mime from 'mime';
+import { withTimeout } from './change-listeners.mjs';
+
+// maximum time (ms) given to a formatter or a linter
+const DEFAULT_TOOL_TIMEOUT = 10000;
+
+// severities of the Monaco markers (monaco.MarkerSeverity)
+const MARKER_SEVERITIES = { hint: 1, info: 2, warning: 4, error: 8 };
+
+/**
+ * Normalize the tools registered in pluginSlots.codeTools
+ *
+ * A tool is an object :
+ *  - name : name of the tool (ex: prettier)
+ *  - plugin : plugin providing the tool
+ *  - extensions : file extensions handled by the tool (ex: [".js", ".mjs"])
+ *  - mimeTypes : mime types handled by the tool, "text/*" matches all the text types
+ *  - priority : when many formatters handle a file, the one with the higher priority is used (default 0)
+ *  - timeout : maximum time (ms) for each call (default 10s)
+ *  - format({content, filePath, relativePath, appName, basePath, options}) : return the formatted content (string)
+ *  - lint({content, filePath, relativePath, appName, basePath, options}) : return the diagnostics, each one is
+ *    {message, severity (error, warning, info, hint or the Monaco value), startLineNumber, startColumn, endLineNumber, endColumn, source, code}
+ *    (line, column, endLine, endColumn are also accepted)
+ *
+ * @param {Array<Object>} tools - Registered tools
+ * @returns {Array<Object>} - The tools, sorted by priority
+ */
+export function normalizeCodeTools(tools = []) {
+    return tools
+        .map((tool, index) => ({
+            name: `tool ${index}`,
+            priority: 0,
+            ...tool,
+            extensions: (tool.extensions ?? []).map(ext => (ext.startsWith(".") ? ext : "." + ext).toLowerCase()),
+            mimeTypes: tool.mimeTypes ?? []
+        }))
+        .sort((a, b) => b.priority - a.priority);
+}
+
+/**
+ * Check if a mime type is one of the given types ("text/*" matches all the text types)
+ * @param {string|null} mimeType - Mime type of the file
+ * @param {Array<string>} types - Mime types
+ * @returns {boolean} - True if the mime type matches
+ */
+export function matchesMimeType(mimeType, types) {
+    return !!mimeType && types.some(type => type === mimeType || (type.endsWith("/*") && mimeType.startsWith(type.slice(0, -1))));
+}
+
+function handlesFile(tool, filePath) {
+    const fileName = path.basename(filePath).toLowerCase();
+    if (tool.extensions.some(ext => fileName.endsWith(ext))) {
+        return true;
+    }
+    return matchesMimeType(mime.getType(filePath), tool.mimeTypes);
+}
+
+/**
+ * Get the tools able to format or lint a file
+ * @param {Array<Object>} tools - Normalized tools (see normalizeCodeTools)
+ * @param {string} filePath - Path of the file
+ * @param {string} [kind] - format or lint, all the tools of the file if not given
+ * @returns {Array<Object>} - The tools, sorted by priority
+ */
+export function findCodeTools(tools, filePath, kind) {
+    return tools.filter(tool => handlesFile(tool, filePath) && (!kind || typeof tool[kind] === "function"));
+}
+
+/**
+ * Public description of a tool
+ * @param {Object} tool - Normalized tool
+ * @returns {Object} - {name, plugin, extensions, mimeTypes, priority, format, lint}
+ */
+export function describeCodeTool(tool) {
+    const { name, plugin, extensions, mimeTypes, priority } = tool;
+    return { name, plugin, extensions, mimeTypes, priority, format: typeof tool.format === "function", lint: typeof tool.lint === "function" };
+}
+
+/**
+ * Format a content with the formatter of the file
+ * @param {Array<Object>} tools - Normalized tools (see normalizeCodeTools)
+ * @param {Object} input - {content (string), filePath, relativePath, appName, basePath, options (formatting options of the editor)}
+ * @param {Object} [options] - Options
+ * @param {string} [options.formatter] - Name of the formatter to use, the formatter of higher priority by default
+ * @returns {Promise<Object>} - {content, formatter}
+ * @throws {Error} If no formatter handles the file (statusCode 404) or the formatter fails (statusCode 500)
+ */
+export async function formatContent(tools, input, { formatter } = {}) {
+    const tool = findCodeTools(tools, input.filePath, "format").find(t => !formatter || t.name === formatter);
+    if (!tool) {
+        const error = new Error(formatter ? `Unknown formatter ${formatter} for ${input.relativePath}` : `No formatter for ${input.relativePath}`);
+        error.statusCode = 404;
+        throw error;
+    }
+    let result;
+    try {
+        result = await withTimeout(Promise.resolve().then(() => tool.format({ ...input })),
+            tool.timeout ?? DEFAULT_TOOL_TIMEOUT, `The formatter ${tool.name} timed out`);
+    } catch (err) {
+        const error = new Error(`Error in the formatter ${tool.name}: ${err.message}`);
+        error.statusCode = 500;
+        throw error;
+    }
+    if (typeof result !== "string") {
+        const error = new Error(`The formatter ${tool.name} did not return a content`);
+        error.statusCode = 500;
+        throw error;
+    }
+    return { content: result, formatter: tool.name };
+}
+
+function toMarkerSeverity(severity) {
+    if (Object.values(MARKER_SEVERITIES).includes(severity)) {
+        return severity;
+    }
+    return MARKER_SEVERITIES[String(severity).toLowerCase()] ?? MARKER_SEVERITIES.error;
+}
+
+/**
+ * Convert a diagnostic given by a linter to a Monaco marker
+ */
+function toMarker(diagnostic, source) {
+    const startLineNumber = Math.max(1, Number(diagnostic.startLineNumber ?? diagnostic.line) || 1);
+    const startColumn = Math.max(1, Number(diagnostic.startColumn ?? diagnostic.column) || 1);
+    const endLineNumber = Math.max(startLineNumber, Number(diagnostic.endLineNumber ?? diagnostic.endLine) || startLineNumber);
+    let endColumn = Number(diagnostic.endColumn) || startColumn;
+    if (endLineNumber === startLineNumber && endColumn < startColumn) {
+        endColumn = startColumn;
+    }
+    return {
+        message: String(diagnostic.message ?? ""),
+        severity: toMarkerSeverity(diagnostic.severity),
+        startLineNumber,
+        startColumn,
+        endLineNumber,
+        endColumn,
+        source: diagnostic.source ?? source,
+        code: diagnostic.code !== undefined ? String(diagnostic.code) : undefined
+    };
+}
+
+/**
+ * Lint a content with all the linters of the file
+ * A failing linter does not prevent the others to run, its error is returned with the markers
+ * @param {Array<Object>} tools - Normalized tools (see normalizeCodeTools)
+ * @param {Object} input - {content (string), filePath, relativePath, appName, basePath, options}
+ * @param {Object} [options] - Options
+ * @param {Object} [options.logger] - Logger
+ * @returns {Promise<Object>} - {markers (Monaco markers), linters (names of the linters run), errors ({linter, message})}
+ */
+export async function lintContent(tools, input, { logger } = {}) {
+    const markers = [];
+    const errors = [];
+    const linters = findCodeTools(tools, input.filePath, "lint");
+    for (const tool of linters) {
+        try {
+            const diagnostics = await withTimeout(Promise.resolve().then(() => tool.lint({ ...input })),
+                tool.timeout ?? DEFAULT_TOOL_TIMEOUT, `The linter ${tool.name} timed out`);
+            markers.push(...(diagnostics ?? []).map(diagnostic => toMarker(diagnostic, tool.name)));
+        } catch (err) {
+            logger?.warn(`Error in linter ${tool.name} on ${input.relativePath} %o`, err);
+            errors.push({ linter: tool.name, message: err.message });
+        }
+    }
+    return { markers, linters: linters.map(tool => tool.name), errors };
+}
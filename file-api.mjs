@@ -1,46 +1,434 @@
 import { readFile, writeFile, readdir, stat, unlink } from 'fs/promises'
 import { mkdirs, remove } from 'fs-extra/esm';
 import path from 'path';
+import crypto from 'crypto';
 import mime from 'mime';
 import multer from 'multer';
 import archiver from 'archiver';
-import { promisify } from 'util';
-import { exec } from 'child_process';
-import { commitAllChanges, createBranchWithWorktree, getCommitCount, getCommitInfo, getFileContentDiff, getFileContentDiffWithHead, listCommitsAsJson} from './git.mjs' ;
+import { abortOperation, afterRepoLock, blameFile, commitAllChanges, commitFiles, compareRefs, continueOperation, createBranchWithWorktree, deleteBranchWithWorktree, discardFiles, getBaseContent, getBlobHash, getChangedFiles, getCompareFileDiff, getCommitCount, getCommitInfo, getConflicts, getFileContentAt, getFileCommitCount, getFileContentDiff, getFileContentDiffWithHead, getAppCommitAuthor, getHeadHash, getOperationInProgress, getUncommittedChanges, getUncommittedFileDiff, getUncommittedFiles, getWorktreeBranch, listCommitsAsJson, listFileCommitsAsJson, mergeBranch, mergeFileContents, moveWithHistory, pruneWorktrees, renameBranchWithWorktree, resolveConflict, restoreWorktreeToCommit, revertCommit, runOutsideRepoLock, spawnGitArchive, storeBlob, withRepoLock} from './git.mjs' ;
+import { isBinaryContent, runSearchTasks, toGlobList } from './search.mjs';
+import { ChangeEventHub } from './change-events.mjs';
+import { AutoCommitWatcher } from './auto-commit.mjs';
+import { listFilesToArchive, readZipArchive } from './archive.mjs';
+import { loadIgnoreRules } from './ignore-rules.mjs';
+import { isDraftMode, moveBranchSettings, readAppSettings, updateAppSettings } from './settings.mjs';
+import { NpmJobRunner } from './npm-jobs.mjs';
+import { inspectDependencies } from './npm-deps.mjs';
+import { normalizeListeners, runAfterHooks, runBeforeHooks } from './change-listeners.mjs';
+import { BUILT_IN_CODE_EDITORS, buildEditorManifest, editorHandlesFile, normalizeCodeEditors } from './code-editors.mjs';
+import { describeCodeTool, findCodeTools, formatContent, lintContent, normalizeCodeTools } from './code-tools.mjs';
 
 const REGEXP_CHECK_PATH = /^[\p{L}\d\s\-_/.+]+$/u;
 
-const IGNORED_FILES = [".git", ".DS_Store", ".gitignore", "node_modules"];
+const REGEXP_CHECK_HASH = /^[0-9a-fA-F]{4,40}$/;
+const REGEXP_CHECK_REF = /^[\w\-./~^]+$/;
 
 const DEFAULT_DIR = "public";
 const BRANCHES_DIR = "branches";
 
-const execAsync = promisify(exec);
+// change type given to the changes listeners for each kind of git file change
+const GIT_CHANGE_TYPES = { added: "save", modified: "save", deleted: "delete", renamed: "rename" };
+
+const UPLOAD_MAX_FILE_SIZE = Number(process.env.UPLOAD_MAX_FILE_SIZE) || 50 * 1024 * 1024;
+const UPLOAD_MAX_TOTAL_SIZE = Number(process.env.UPLOAD_MAX_TOTAL_SIZE) || 200 * 1024 * 1024;
+const UPLOAD_MAX_FILES = Number(process.env.UPLOAD_MAX_FILES) || 1000;
+const ZIP_IMPORT_MAX_SIZE = Number(process.env.ZIP_IMPORT_MAX_SIZE) || 200 * 1024 * 1024;
+const ZIP_IMPORT_MAX_ENTRIES = Number(process.env.ZIP_IMPORT_MAX_ENTRIES) || 10000;
+
+
+/**
+ * Multer storage keeping the files in memory, like multer.memoryStorage, with a limit on the total size of the files
+ * of a request. The bytes are counted while the request streams, the upload is aborted as soon as the limit is exceeded
+ * @param {number} maxTotalSize - Maximum size (bytes) of all the files of a request
+ * @returns {Object} - multer storage engine
+ */
+function limitedMemoryStorage(maxTotalSize){
+    return {
+        _handleFile(req, file, cb){
+            const chunks = [];
+            let size = 0;
+            let done = false;
+            const finish = (err, info) => {
+                if(done){ return ; }
+                done = true;
+                cb(err, info);
+            };
+            file.stream.on("data", (chunk) => {
+                if(done){ return ; }
+                req.uploadedSize = (req.uploadedSize??0) + chunk.length;
+                if(req.uploadedSize > maxTotalSize){
+                    const error = new Error(`Upload too large (maximum ${maxTotalSize} bytes)`);
+                    error.statusCode = 413;
+                    // drop the rest of the file, multer stops reading the request
+                    file.stream.resume();
+                    return finish(error);
+                }
+                chunks.push(chunk);
+                size += chunk.length;
+            });
+            file.stream.on("error", (err) => finish(err));
+            file.stream.on("end", () => finish(null, { buffer: Buffer.concat(chunks, size), size }));
+        },
+        _removeFile(req, file, cb){
+            delete file.buffer;
+            cb(null);
+        }
+    };
+}
 
+/**
+ * Wrap a multer middleware to answer the upload errors (limits exceeded...) with a proper status
+ * @param {function} middleware - multer middleware
+ * @returns {function} - express middleware
+ */
+function handleUpload(middleware){
+    return (req, res, next) => {
+        middleware(req, res, (err) => {
+            if (err instanceof multer.MulterError) {
+                const tooLarge = ["LIMIT_FILE_SIZE", "LIMIT_FILE_COUNT", "LIMIT_PART_COUNT"].includes(err.code);
+                return res.status(tooLarge ? 413 : 400).end(err.message);
+            }
+            if (err?.statusCode) {
+                return res.status(err.statusCode).end(err.message);
+            }
+            next(err);
+        });
+    };
+}
 
-async function runCommand(command, cwd){
-    const { stderr, stdout } = await execAsync(command, {
-        cwd
-    });
-    if(stderr){
-        console.error(stderr);
-        throw "Error while running command "+command+" in "+cwd;
+/**
+ * Get the author of the commits done by a request : the BamZ user authenticated on the request,
+ * or the identity of the app when no user is known
+ * @param {Object} req - Express request
+ * @returns {Object} - {authorName, authorEmail}
+ */
+function getCommitAuthor(req){
+    const appAuthor = getAppCommitAuthor(req.params.appName);
+    const authorName = req.user?.name ?? req.user?.username ?? req.user?.login;
+    if(!authorName){
+        return appAuthor;
     }
-    return stdout;
+    return { authorName, authorEmail: req.user.email ?? appAuthor.authorEmail };
 }
 
+/**
+ * List recursively the files of a directory (ignored files excluded)
+ * @param {string} baseDir - Directory to list
+ * @param {function} isIgnored - isIgnored(relativePath, isDirectory) (see loadIgnoreRules)
+ * @returns {Promise<Array<string>>} - Paths of the files relative to baseDir
+ */
+async function listAllFiles(baseDir, isIgnored){
+    const results = [];
+    const listDir = async (dir) => {
+        const list = await readdir(dir, { withFileTypes: true });
+        for(let entry of list){
+            const filePath = path.join(dir, entry.name);
+            if (isIgnored(path.relative(baseDir, filePath), entry.isDirectory())) {
+                continue;
+            }
+            if(entry.isDirectory()){
+                await listDir(filePath);
+            }else{
+                results.push(path.relative(baseDir, filePath));
+            }
+        }
+    };
+    await listDir(baseDir);
+    return results;
+}
 
-export function initFileApi({router, contextOfApp, logger, graphql}){
+export function initFileApi({router, contextOfApp, logger, graphql, appFileSystems}){
+
+    const changeEvents = new ChangeEventHub({logger});
+
+    const CHANGE_EVENT_TYPES = {
+        save: "modified",
+        delete: "deleted",
+        deleteDir: "deleted",
+        rename: "renamed",
+        createDir: "created"
+    };
+
+    async function getChangesListeners(appName){
+        let appContext = await contextOfApp(appName) ;
+        return normalizeListeners(appContext.pluginsData["code-editor"]?.pluginSlots?.changesListeners??[]) ;
+    }
 
-    async function onFileChange({appName, filePath, relativePath, previousContent, newContent, changeType, basePath}){
+    async function getCodeTools(appName){
         let appContext = await contextOfApp(appName) ;
-        let changesListeners = appContext.pluginsData["code-editor"]?.pluginSlots?.changesListeners??[] ;
-        for(let i=0; i<changesListeners.length; i++){
-            let listener = changesListeners[i];
-            listener({appName, filePath, changeType, basePath, relativePath, previousContent, newContent});
+        return normalizeCodeTools(appContext.pluginsData["code-editor"]?.pluginSlots?.codeTools??[]) ;
+    }
+
+    /**
+     * Format the content saved in a file when the formatOnSave setting is enabled
+     * The content is saved as is if no formatter handles the file or the formatter fails
+     * 
+     * @returns {Promise<Buffer>} the content to save
+     */
+    async function formatOnSave({appName, filePath, relativePath, basePath, content}){
+        if(isBinaryContent(content) || !(await readAppSettings(appName)).formatOnSave){ return content ; }
+        const tools = await getCodeTools(appName) ;
+        if(findCodeTools(tools, filePath, "format").length === 0){ return content ; }
+        try{
+            const formatted = await formatContent(tools, {appName, filePath, relativePath, basePath, content: content.toString("utf-8"), options: {}});
+            return Buffer.from(formatted.content, "utf-8");
+        }catch(err){
+            logger.warn(`Error format on save ${relativePath} %o`, err);
+            return content ;
+        }
+    }
+
+    /**
+     * Let the changes listeners refuse a modification before it is done or, for a save, transform the content
+     * 
+     * The listeners run outside the repository lock of the route : a listener still running after its timeout 
+     * must not use the lock once the route released it
+     * 
+     * @returns {Promise<Buffer|undefined>} the content to write for a save
+     * @throws {Error} if a listener refuses the modification (statusCode 400, the message is for the user)
+     */
+    async function beforeFileChange({appName, filePath, relativePath, previousFilePath, previousRelativePath, previousContent, newContent, changeType, basePath}){
+        const listeners = await getChangesListeners(appName);
+        return await runOutsideRepoLock(() => runBeforeHooks(listeners, 
+            {appName, filePath, changeType, basePath, relativePath, previousFilePath, previousRelativePath, previousContent, newContent}));
+    }
+
+    /**
+     * Call the after hooks of the changes listeners and publish the change event
+     * 
+     * Inside a repository lock, they run once the route released it : a listener can run git operations on the repository
+     */
+    async function onFileChange({appName, filePath, relativePath, previousFilePath, previousRelativePath, previousContent, newContent, changeType, basePath, source}){
+        await afterRepoLock(async () => {
+            const listeners = await getChangesListeners(appName);
+            await runAfterHooks(listeners, 
+                {appName, filePath, changeType, basePath, relativePath, previousFilePath, previousRelativePath, previousContent, newContent}, {logger});
+            changeEvents.publish({appName, basePath, 
+                type: changeType === "save" && !previousContent ? "created" : CHANGE_EVENT_TYPES[changeType]??"modified", 
+                path: relativePath ?? path.relative(basePath, filePath), previousPath: previousRelativePath, source,
+                isDirectory: changeType === "deleteDir" || changeType === "createDir" || (changeType === "rename" && newContent === undefined)});
+        });
+    }
+
+    /**
+     * Let the changes listeners check the modifications of a git operation (merge, revert, restore, discard)
+     * 
+     * All the files are checked, the user gets all the refusals at once
+     * 
+     * @param {Array} changes - {path, previousPath, type, previousContent, newContent} type is added, modified, deleted or renamed
+     * @returns {Promise<Object>} path -> content to write instead, for the contents replaced by the listeners
+     * @throws {Error} if listeners refuse modifications (statusCode 400, rejections: [{path, listener, message}])
+     */
+    async function beforeGitChanges({appName, basePath, changes}){
+        const replacements = {};
+        const rejections = [];
+        for(let change of changes){
+            const changeType = GIT_CHANGE_TYPES[change.type]??"save";
+            try{
+                const newContent = await beforeFileChange({appName, filePath: path.join(basePath, change.path),
+                    relativePath: change.path,
+                    previousFilePath: change.previousPath ? path.join(basePath, change.previousPath) : undefined,
+                    previousRelativePath: change.previousPath,
+                    previousContent: change.previousContent??undefined, newContent: change.newContent, changeType, basePath});
+                if(changeType === "save" && newContent && !newContent.equals(change.newContent)){
+                    replacements[change.path] = newContent;
+                }
+            }catch(err){
+                if(err.statusCode !== 400){ throw err; }
+                rejections.push({path: change.path, listener: err.listener, message: err.message});
+            }
+        }
+        if(rejections.length > 0){
+            const error = new Error(rejections.map(r => `${r.path} : ${r.message}`).join("\n"));
+            error.statusCode = 400;
+            error.rejections = rejections;
+            throw error;
+        }
+        return replacements;
+    }
+
+    // commit the modifications done through SSH
+    if(process.env.SSH_AUTO_COMMIT !== "false" && !process.env.DATA_DIR){
+        logger.warn("DATA_DIR is not set, the modifications done through SSH are not committed automatically");
+    }else if(process.env.SSH_AUTO_COMMIT !== "false"){
+        const autoCommit = new AutoCommitWatcher({
+            dataDir: process.env.DATA_DIR,
+            delay: Number(process.env.SSH_AUTO_COMMIT_DELAY) || undefined,
+            logger,
+            // the worktree directory is public or the name of the branch
+            isDraft: (appName, basePath) => isDraftMode(appName, path.basename(basePath)),
+            onCommitted: async ({appName, basePath, files})=>{
+                for(let file of files){
+                    await onFileChange({appName, filePath: path.join(basePath, file.path),
+                        relativePath: file.path,
+                        previousFilePath: file.previousPath ? path.join(basePath, file.previousPath) : undefined,
+                        previousRelativePath: file.previousPath,
+                        previousContent: file.previousContent??undefined, newContent: file.newContent,
+                        changeType: GIT_CHANGE_TYPES[file.type], basePath, source: "ssh"});
+                }
+            }
+        });
+        autoCommit.start().catch(err=>logger.warn("Error start SSH auto commit %o", err));
+    }
+
+    // files written by the platform (or through SSH)
+    appFileSystems?.addListener("fileWritten", ({appName, relativePath, branch})=>{
+        changeEvents.publish({appName, basePath: path.join(process.env.DATA_DIR, "apps", appName, branch??DEFAULT_DIR), 
+            type: "modified", path: relativePath, source: "filesystem"});
+    });
+
+
+    /**
+     * Notify the changes listeners of all the files modified between two commits
+     * (used after git operations that modify many files at once like merge)
+     */
+    async function notifyChangesBetween({appName, basePath, fromRef, toRef}){
+        if(!toRef || fromRef === toRef){ return ; }
+        // before the first commit, compare with the empty tree
+        const changedFiles = await getChangedFiles(basePath, fromRef??"4b825dc642cb6eb9a060e54bf8d69288fbee4904", toRef);
+        for(let file of changedFiles){
+            const previousRelativePath = file.previousPath??file.path;
+            const previousContent = fromRef ? await getFileContentAt(basePath, fromRef, previousRelativePath) : null;
+            const newContent = await getFileContentAt(basePath, toRef, file.path);
+            await onFileChange({appName, filePath: path.join(basePath, file.path),
+                relativePath: file.path,
+                previousFilePath: file.previousPath ? path.join(basePath, file.previousPath) : undefined,
+                previousRelativePath: file.previousPath,
+                previousContent: previousContent??undefined, newContent,
+                changeType: GIT_CHANGE_TYPES[file.type]??"save", basePath});
+        }
+    }
+
+    /**
+     * Commit the modifications done by a request, unless the app directory is in draft mode
+     * (the modifications are then committed explicitly through /git/commit)
+     */
+    async function commitChanges(req, filesDirectory, commitMessage){
+        if(await isDraftMode(req.params.appName, req.query.dir??DEFAULT_DIR)){
+            return;
+        }
+        await commitAllChanges(filesDirectory, { commitMessage, ...getCommitAuthor(req) });
+    }
+
+    /**
+     * Commit the pending modifications before a git operation working on commits (merge, revert, restore)
+     * 
+     * In draft mode the pending modifications are never committed without the review of the user, the operation is refused
+     * 
+     * @param {string} dir - public or name of the branch
+     * @throws {Error} in draft mode when there is uncommitted modifications (statusCode 409, draftChanges: the files)
+     */
+    async function commitPendingChanges(req, dir, commitMessage){
+        const filesDirectory = getSecurePath(dir, req.params.appName);
+        if(await isDraftMode(req.params.appName, dir)){
+            const files = await getUncommittedFiles(filesDirectory);
+            if(files.length > 0){
+                const error = new Error(`${dir} has draft modifications, commit or discard them first`);
+                error.statusCode = 409;
+                error.draftChanges = files;
+                throw error;
+            }
+            return;
+        }
+        await commitAllChanges(filesDirectory, { commitMessage, ...getCommitAuthor(req) });
+    }
+
+    /**
+     * Give the hash of the version of a file sent to the client, stored in the repository to be the base of the merge of its next save
+     */
+    async function storeBlobOrHash(filesDirectory, content){
+        try{
+            return await storeBlob(filesDirectory, content);
+        }catch(err){
+            // the conflicts are still detected, only the merge proposal is lost
+            logger.warn(`Error store blob in ${filesDirectory} %o`, err);
+            return getBlobHash(content);
+        }
+    }
+
+    /**
+     * Check if the file changed since the version on which the client based its modifications
+     * 
+     * The base is the hash of the content or a commit, the modification date (base.lastModified) is the fallback when the client gives 
+     * none of them : the conflict is detected but there is no merge proposal
+     * 
+     * @returns {Promise<Object|null>} the conflict description (with a three-way merge proposal when possible) or null if the save can be done
+     */
+    async function checkSaveConflict({filesDirectory, filePath, previousContent, newContent, base}){
+        if(!base.hash && !base.commit && !base.lastModified){
+            // the client did not give its version, blind save
+            return null;
+        }
+        const relativePath = path.relative(filesDirectory, filePath);
+        const currentHash = previousContent ? getBlobHash(previousContent) : null;
+        if(previousContent && previousContent.equals(newContent)){
+            // same content, nothing is lost
+            return null;
+        }
+
+        let stale = false;
+        let lastModified = null;
+        if(previousContent){
+            lastModified = (await stat(filePath)).mtimeMs;
+        }
+        if(!previousContent){
+            // the file has been deleted since the client read it
+            stale = true;
+        }else if(base.hash){
+            stale = base.hash !== currentHash;
+        }else if(base.commit){
+            const baseContent = await getBaseContent(filesDirectory, relativePath, {commit: base.commit});
+            stale = baseContent === null || getBlobHash(baseContent) !== currentHash;
+        }else{
+            stale = lastModified > Number(base.lastModified);
+        }
+        if(!stale){
+            return null;
         }
+
+        let merge = null;
+        if(previousContent && (base.hash || base.commit) && !isBinaryContent(previousContent) && !isBinaryContent(newContent)){
+            const baseContent = await getBaseContent(filesDirectory, relativePath, base);
+            if(baseContent !== null){
+                merge = await mergeFileContents({
+                    ours: previousContent.toString("utf-8"),
+                    base: baseContent,
+                    theirs: newContent.toString("utf-8")
+                }, { oursLabel: "server", baseLabel: "base", theirsLabel: "yours" });
+            }
+        }
+
+        return {
+            success: false,
+            conflict: true,
+            message: previousContent ? `The file ${relativePath} has been modified since you opened it` : `The file ${relativePath} has been deleted since you opened it`,
+            deleted: !previousContent,
+            currentContent: previousContent && !isBinaryContent(previousContent) ? previousContent.toString("utf-8") : null,
+            // base of the next save once the client merged the current content
+            hash: previousContent ? await storeBlobOrHash(filesDirectory, previousContent) : null,
+            lastModified,
+            merge
+        };
     }
 
+    /**
+     * Absolute path of a file of an app directory, refused when the relative path goes out of the directory ("..") 
+     * or is the directory itself ("/", "."), except with allowRoot for the routes reading a directory
+     * @throws {Error} if the path is outside of the directory (statusCode 500, as the other path checks)
+     */
+    function resolveAppPath(filesDirectory, relativePath, { allowRoot = false } = {}){
+        const filePath = path.join(filesDirectory, relativePath);
+        const relative = path.relative(filesDirectory, filePath);
+        if(!relative && allowRoot){
+            return filesDirectory;
+        }
+        if(!relative || relative.startsWith("..") || path.isAbsolute(relative)){
+            const error = new Error("Forbidden path " + relativePath);
+            error.statusCode = 500;
+            throw error;
+        }
+        return filePath;
+    }
 
     function getSecurePath(dir, appName){
         // check the directory does not contain ".."
@@ -59,33 +447,62 @@ export function initFileApi({router, contextOfApp, logger, graphql}){
     /**
      * Get the list of files in the directory of the app
      * 
+     * Query : path (list only this sub directory), depth (number of levels to list, the directories 
+     * deeper have children: null and must be loaded on expand), offset and limit (pagination of the first level 
+     * entries, the total count is in the X-Total-Count header), showIgnored ("true" to also list the files 
+     * ignored by the .gitignore and .editorignore of the app)
+     * 
+     * The response has an ETag, an unchanged tree gives a 304
+     * 
      * @param {string} appName - Name of the app
      */
     router.get('/files/:appName', (req, res) => {
         
         (async () => {
             try{
+                if (req.query.path && !req.query.path.match(REGEXP_CHECK_PATH)) {
+                    return res.status(500).end("Forbidden path " + req.query.path)
+                }
                 // Check user has proper authorization
                 if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
                 const filesDirectory = getSecurePath(req.query.dir??DEFAULT_DIR, req.params.appName);
-                const getFiles = async (dir) => {
-                    let results = [];
-                    const list = await readdir(dir);
-                    for (let file of list) {
-                        if (IGNORED_FILES.includes(file)) {
-                            continue;
-                        }
+                const listedDirectory = req.query.path ? resolveAppPath(filesDirectory, req.query.path, { allowRoot: true }) : filesDirectory;
+                const maxDepth = req.query.depth ? Number(req.query.depth) : Infinity;
+                // only the .gitignore of the listed directories (and their parents) are read
+                const isIgnored = await loadIgnoreRules(filesDirectory, { showIgnored: req.query.showIgnored === "true", 
+                    path: path.relative(filesDirectory, listedDirectory), depth: maxDepth });
+                const getFiles = async (dir, depth) => {
+                    const list = (await readdir(dir)).sort();
+                    // stat the siblings in parallel
+                    const entries = await Promise.all(list.map(async (file) => {
                         file = path.resolve(dir, file);
                         const statFile = await stat(file);
+                        if (isIgnored(path.relative(filesDirectory, file), statFile.isDirectory())) {
+                            return null;
+                        }
                         if (statFile && statFile.isDirectory()) {
-                            results.push({ name: path.basename(file), type: 'directory', children: (await getFiles(file)) });
+                            return { name: path.basename(file), type: 'directory', children: depth < maxDepth ? (await getFiles(file, depth + 1)) : null };
                         } else {
-                            results.push({ name: path.basename(file), type: 'file', mimeType: mime.getType(file), size: statFile?.size, lastModified: statFile?.mtimeMs });
+                            return { name: path.basename(file), type: 'file', mimeType: mime.getType(file), size: statFile?.size, lastModified: statFile?.mtimeMs };
                         }
-                    }
-                    return results;
+                    }));
+                    return entries.filter(entry => entry);
                 };
-                res.json(await getFiles(filesDirectory));
+                let files = await getFiles(listedDirectory, 1);
+
+                res.setHeader('X-Total-Count', String(files.length));
+                if (req.query.offset || req.query.limit) {
+                    const offset = Number(req.query.offset) || 0;
+                    files = files.slice(offset, req.query.limit ? offset + Number(req.query.limit) : undefined);
+                }
+
+                const body = JSON.stringify(files);
+                res.setHeader('ETag', `W/"${crypto.createHash('sha1').update(body).digest('base64url')}"`);
+                res.setHeader('Content-Type', 'application/json');
+                if (req.fresh) {
+                    return res.status(304).end();
+                }
+                res.end(body);
             }catch(err){
                 logger.warn(`Error list files ${req.params.appName} %o`, err)
                 res.status(err.statusCode??500).json(err);
@@ -94,6 +511,194 @@ export function initFileApi({router, contextOfApp, logger, graphql}){
     });
 
 
+    /**
+     * Search a text or a regular expression in the files of the app
+     * 
+     * Query parameters : query, regex, caseSensitive, wholeWord (booleans as "true"),
+     * include, exclude (comma separated globs), maxResults, contextLines, showIgnored (also search in the ignored files)
+     * 
+     * @param {string} appName - Name of the app
+     */
+    router.get('/files/:appName/search', (req, res) => {
+        (async () => {
+            if (!req.query.query) {
+                return res.status(400).end("Missing query")
+            }
+            try{
+                if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
+                const filesDirectory = getSecurePath(req.query.dir??DEFAULT_DIR, req.params.appName);
+                // the regular expression of the user runs in a worker with a time budget
+                const [result] = await runSearchTasks([{ name: "searchFiles", args: [filesDirectory, {
+                    query: req.query.query,
+                    regex: req.query.regex === "true",
+                    caseSensitive: req.query.caseSensitive === "true",
+                    wholeWord: req.query.wholeWord === "true",
+                    include: req.query.include,
+                    exclude: req.query.exclude,
+                    maxResults: req.query.maxResults,
+                    contextLines: req.query.contextLines,
+                    ignoreRules: { showIgnored: req.query.showIgnored === "true" }
+                }] }]);
+                res.json(result);
+            }catch(err){
+                logger.warn(`Error search files ${req.params.appName} %o`, err)
+                if(err.statusCode){
+                    return res.status(err.statusCode).end(err.message);
+                }
+                res.status(500).send('Error searching files');
+            }
+        })();
+    });
+
+    /**
+     * Get the search options from the request body
+     */
+    function getReplaceOptions(body){
+        return {
+            query: body.query,
+            replacement: body.replacement??"",
+            regex: body.regex === true || body.regex === "true",
+            caseSensitive: body.caseSensitive === true || body.caseSensitive === "true",
+            wholeWord: body.wholeWord === true || body.wholeWord === "true",
+            include: body.include,
+            exclude: body.exclude,
+            maxResults: body.maxResults,
+            showIgnored: body.showIgnored === true || body.showIgnored === "true",
+        };
+    }
+
+    /**
+     * Preview a search and replace in the files of the app
+     * 
+     * Body : same options as the search route + replacement
+     * 
+     * @param {string} appName - Name of the app
+     */
+    router.post('/files/:appName/replace', (req, res) => {
+        (async () => {
+            if (!req.body.query) {
+                return res.status(400).end("Missing query")
+            }
+            try{
+                if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
+                const filesDirectory = getSecurePath(req.query.dir??DEFAULT_DIR, req.params.appName);
+                const options = getReplaceOptions(req.body);
+                const [result] = await runSearchTasks([{ name: "previewReplace", args: [filesDirectory, { ...options, ignoreRules: { showIgnored: options.showIgnored } }] }]);
+                res.json(result);
+            }catch(err){
+                logger.warn(`Error preview replace ${req.params.appName} %o`, err)
+                if(err.statusCode){
+                    return res.status(err.statusCode).end(err.message);
+                }
+                res.status(500).send('Error preview replace');
+            }
+        })();
+    });
+
+    /**
+     * Apply the replacements confirmed by the user and commit them at once
+     * 
+     * Body : same options as the replace preview + files: [{path, matches: [{line, column}]}]
+     * 
+     * @param {string} appName - Name of the app
+     */
+    router.post('/files/:appName/replace/apply', (req, res) => {
+        (async () => {
+            if (!req.body.query) {
+                return res.status(400).end("Missing query")
+            }
+            if (!Array.isArray(req.body.files)) {
+                return res.status(400).end("Missing files")
+            }
+            for(let file of req.body.files){
+                if (!file.path || !file.path.match(REGEXP_CHECK_PATH)) {
+                    return res.status(500).end("Forbidden path " + file.path)
+                }
+            }
+            try{
+                if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
+                const filesDirectory = getSecurePath(req.query.dir??DEFAULT_DIR, req.params.appName);
+                await withRepoLock(filesDirectory, async () => {
+                    const options = getReplaceOptions(req.body);
+
+                    const previousContents = [];
+                    for(let file of req.body.files){
+                        previousContents.push(await readFile(resolveAppPath(filesDirectory, file.path)));
+                    }
+                    const replaced = await runSearchTasks(req.body.files.map((file, i) => ({ name: "applyReplacementsInText", 
+                        args: [previousContents[i].toString("utf-8"), { ...options, selected: file.matches??[] }] })));
+
+                    const modifiedFiles = [];
+                    const results = [];
+                    for(let i=0; i<req.body.files.length; i++){
+                        const file = req.body.files[i];
+                        const filePath = resolveAppPath(filesDirectory, file.path);
+                        const previousContent = previousContents[i];
+                        const {content, applied, skipped} = replaced[i];
+                        if(applied.length === 0){ 
+                            results.push({path: file.path, applied: 0, skipped});
+                            continue ; 
+                        }
+                        let newContent ;
+                        try{
+                            newContent = await beforeFileChange({appName: req.params.appName, filePath, relativePath: file.path, 
+                                previousContent, newContent: Buffer.from(content, "utf-8"), changeType: "save", basePath: filesDirectory});
+                        }catch(err){
+                            if(err.statusCode !== 400){ throw err ; }
+                            // refused by a listener, the other files are still modified
+                            results.push({path: file.path, applied: 0, skipped, rejected: err.message});
+                            continue ;
+                        }
+                        results.push({path: file.path, applied: applied.length, skipped});
+                        await writeFile(filePath, newContent);
+                        modifiedFiles.push({filePath, relativePath: file.path, previousContent, newContent});
+                    }
+
+                    if(modifiedFiles.length > 0){
+                        await commitChanges(req, filesDirectory, `Replace "${options.query}" with "${options.replacement}" in ${modifiedFiles.length} file${modifiedFiles.length>1?"s":""}`);
+                    }
+
+                    for(let file of modifiedFiles){
+                        await onFileChange({appName: req.params.appName, filePath: file.filePath, 
+                            relativePath: file.relativePath, 
+                            previousContent: file.previousContent, newContent: file.newContent, 
+                            changeType: "save", basePath: filesDirectory});
+                    }
+
+                    res.json({success: true, files: results});
+                });
+            }catch(err){
+                logger.warn(`Error apply replace ${req.params.appName} %o`, err)
+                if(err.statusCode){
+                    return res.status(err.statusCode).end(err.message);
+                }
+                res.status(500).send('Error apply replace');
+            }
+        })();
+    });
+
+    /**
+     * Stream the changes of the files of the app (Server-Sent Events)
+     * 
+     * Events : created, modified, deleted, renamed (data: {type, path, previousPath, isDirectory, source, date})
+     * and branch-created, branch-deleted, branch-renamed (data: {type, branch, previousBranch})
+     * 
+     * @param {string} appName - Name of the app
+     */
+    router.get('/files/:appName/events', (req, res) => {
+        (async () => {
+            try{
+                if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
+                const filesDirectory = getSecurePath(req.query.dir??DEFAULT_DIR, req.params.appName);
+                await stat(filesDirectory);
+                changeEvents.subscribe({appName: req.params.appName, basePath: filesDirectory, req, res});
+            }catch(err){
+                logger.warn(`Error listen changes ${req.params.appName} %o`, err)
+                res.status(500).send('Error listen changes');
+            }
+        })();
+    });
+
     router.get('/listBranches/:appName', (req, res) => {
         (async ()=>{
             if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
@@ -121,6 +726,7 @@ export function initFileApi({router, contextOfApp, logger, graphql}){
             const branchesPath = path.join(process.env.DATA_DIR, "apps", req.params.appName, BRANCHES_DIR);
             try{
                 await createBranchWithWorktree(repoPath, req.body.branch, branchesPath, req.body.from);
+                changeEvents.publish({appName: req.params.appName, type: "branch-created", branch: req.body.branch});
                 const branches = await readdir(branchesPath);
                 res.json({success: true, branches: branches.map(b=>({name: b}))});
             }catch(err){
@@ -131,6 +737,80 @@ export function initFileApi({router, contextOfApp, logger, graphql}){
         })();
     });
 
+    /**
+     * Delete a branch and its worktree
+     * 
+     * Body : branch, force (delete even if the branch has uncommitted changes or is not merged in public)
+     */
+    router.post('/deleteBranch/:appName/', (req, res) => {
+        (async ()=>{
+            if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
+            const repoPath = path.join(process.env.DATA_DIR, "apps", req.params.appName, DEFAULT_DIR);
+            const branchesPath = path.join(process.env.DATA_DIR, "apps", req.params.appName, BRANCHES_DIR);
+            try{
+                await deleteBranchWithWorktree(repoPath, req.body.branch, branchesPath, { force: req.body.force === true || req.body.force === "true" });
+                await moveBranchSettings(req.params.appName, req.body.branch, null);
+                changeEvents.publish({appName: req.params.appName, type: "branch-deleted", branch: req.body.branch});
+                const branches = await readdir(branchesPath);
+                res.json({success: true, branches: branches.map(b=>({name: b}))});
+            }catch(err){
+                logger.warn(`Error delete branch ${req.body.branch} %o`, err)
+                res.status(err.statusCode??500).json(err.message);
+            }
+        })();
+    });
+
+    /**
+     * Rename a branch, its worktree directory is moved accordingly
+     * 
+     * Body : branch, newName
+     */
+    router.post('/renameBranch/:appName/', (req, res) => {
+        (async ()=>{
+            if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
+            const repoPath = path.join(process.env.DATA_DIR, "apps", req.params.appName, DEFAULT_DIR);
+            const branchesPath = path.join(process.env.DATA_DIR, "apps", req.params.appName, BRANCHES_DIR);
+            try{
+                await renameBranchWithWorktree(repoPath, req.body.branch, req.body.newName, branchesPath);
+                // the draft mode is set by branch name
+                await moveBranchSettings(req.params.appName, req.body.branch, req.body.newName);
+                changeEvents.publish({appName: req.params.appName, type: "branch-renamed", branch: req.body.newName, previousBranch: req.body.branch});
+                const branches = await readdir(branchesPath);
+                res.json({success: true, branches: branches.map(b=>({name: b}))});
+            }catch(err){
+                logger.warn(`Error rename branch ${req.body.branch} %o`, err)
+                res.status(err.statusCode??500).json(err.message);
+            }
+        })();
+    });
+
+    /**
+     * Clean the branch worktrees whose directory has been removed by hand
+     * 
+     * Their branches are deleted when they are merged in public, the others are kept and listed in orphanBranches 
+     * (delete them with /deleteBranch and force)
+     */
+    router.post('/pruneBranches/:appName/', (req, res) => {
+        (async ()=>{
+            if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
+            const repoPath = path.join(process.env.DATA_DIR, "apps", req.params.appName, DEFAULT_DIR);
+            const branchesPath = path.join(process.env.DATA_DIR, "apps", req.params.appName, BRANCHES_DIR);
+            try{
+                const {pruned, deletedBranches, orphanBranches} = await pruneWorktrees(repoPath);
+                for(let branch of deletedBranches){
+                    await moveBranchSettings(req.params.appName, branch, null);
+                    changeEvents.publish({appName: req.params.appName, type: "branch-deleted", branch});
+                }
+                await mkdirs(branchesPath);
+                const branches = await readdir(branchesPath);
+                res.json({success: true, pruned, deletedBranches, orphanBranches, branches: branches.map(b=>({name: b}))});
+            }catch(err){
+                logger.warn(`Error prune branches ${req.params.appName} %o`, err)
+                res.status(err.statusCode??500).json(err.message);
+            }
+        })();
+    });
+
     // Get File Content
     router.get('/files/:appName/content', (req, res) => {
         (async () => {
@@ -143,11 +823,16 @@ export function initFileApi({router, contextOfApp, logger, graphql}){
 
             try {
                 const filesDirectory = getSecurePath(req.query.dir??DEFAULT_DIR, req.params.appName);
-                const filePath = path.join(filesDirectory, req.query.path);
+                const filePath = resolveAppPath(filesDirectory, req.query.path);
                 if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
                 const mimeType = mime.getType(filePath);
+                const content = await readFile(filePath);
+                const statFile = await stat(filePath);
                 res.setHeader('Content-Type', mimeType);
-                res.send(await readFile(filePath));
+                // version of the file that the client can send back on save to detect conflicts
+                res.setHeader('X-File-Hash', await storeBlobOrHash(filesDirectory, content));
+                res.setHeader('X-Last-Modified', String(statFile.mtimeMs));
+                res.send(content);
             } catch (err) {
                 logger.warn(`Error reading file ${req.query.path} %o`, err)
                 res.status(500).send('Error reading file ' + req.query.path);
@@ -156,59 +841,182 @@ export function initFileApi({router, contextOfApp, logger, graphql}){
     });
 
     // Save File Content
-    // Configure multer to use memory storage
-    const storage = multer.memoryStorage();
-    const upload = multer({ storage: storage });
-    router.post('/files/:appName/save', upload.single('file'), (req, res) => {
+    // Configure multer to use memory storage, limited to the total size of an upload
+    const storage = limitedMemoryStorage(UPLOAD_MAX_TOTAL_SIZE);
+    const upload = multer({ 
+        storage: storage, 
+        // keep the directories in the file names of the bulk upload
+        preservePath: true,
+        limits: { fileSize: UPLOAD_MAX_FILE_SIZE, files: UPLOAD_MAX_FILES } 
+    });
+    router.post('/files/:appName/save', handleUpload(upload.single('file')), (req, res) => {
         if (!req.body.path) {
             return res.status(400).end("Missing path")
         }
         if (!req.body.path.match(REGEXP_CHECK_PATH)) {
             return res.status(500).end("Forbidden path " + req.body.path)
         }
+        // version read by the client : the hash given by the content route or the previous save, or a commit (or its modification date, baseLastModified)
+        for (const baseField of ["baseHash", "baseCommit"]) {
+            if (req.body[baseField] && !String(req.body[baseField]).match(REGEXP_CHECK_HASH)) {
+                return res.status(400).end(`Invalid ${baseField} ${req.body[baseField]}`)
+            }
+        }
+        if (req.body.baseLastModified && !Number.isFinite(Number(req.body.baseLastModified))) {
+            return res.status(400).end(`Invalid baseLastModified ${req.body.baseLastModified}`)
+        }
         (async () => {
             if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
 
             
             try {
                 const filesDirectory = getSecurePath(req.query.dir??DEFAULT_DIR, req.params.appName);
-                const filePath = path.join(filesDirectory, req.body.path);
-                // Ensure the target directory exists
-                await mkdirs(path.dirname(filePath), { recursive: true });
+                await withRepoLock(filesDirectory, async () => {
+                    const filePath = resolveAppPath(filesDirectory, req.body.path);
+                    // Ensure the target directory exists
+                    await mkdirs(path.dirname(filePath), { recursive: true });
 
-                let previousContent;
+                    let previousContent;
                 
-                try{
-                    previousContent = await readFile(filePath) ;
-                // eslint-disable-next-line no-unused-vars
-                }catch(err){
-                    //file not exists
-                }
+                    try{
+                        previousContent = await readFile(filePath) ;
+                    // eslint-disable-next-line no-unused-vars
+                    }catch(err){
+                        //file not exists
+                    }
 
-                // Write the file from memory buffer to the final destination
-                await writeFile(filePath, req.file.buffer);
+                    const conflict = await checkSaveConflict({filesDirectory, filePath, previousContent, newContent: req.file.buffer, base: {
+                        hash: req.body.baseHash,
+                        commit: req.body.baseCommit,
+                        lastModified: req.body.baseLastModified,
+                    }});
+                    if(conflict){
+                        return res.status(409).json(conflict);
+                    }
 
-                console.log("SAVED FILE "+filePath+" / "+Date.now());
+                    const formattedContent = await formatOnSave({appName: req.params.appName, filePath, relativePath: req.body.path, 
+                        basePath: filesDirectory, content: req.file.buffer});
 
-                const statFile = await stat(filePath);
+                    // the listeners may refuse the save or transform the content
+                    const newContent = await beforeFileChange({appName: req.params.appName, filePath, relativePath: req.body.path, 
+                        previousContent, newContent: formattedContent, changeType: "save", basePath: filesDirectory});
 
-                await commitAllChanges(filesDirectory, { commitMessage: req.body.commitMessage||`Save file ${path.relative(filesDirectory, filePath)}` });
+                    // Write the file from memory buffer to the final destination
+                    await writeFile(filePath, newContent);
 
-                await onFileChange({appName: req.params.appName, filePath, 
-                        relativePath: req.body.path, 
-                        previousContent, newContent: req.file.buffer, 
-                        changeType: "save", basePath: filesDirectory});
+                    console.log("SAVED FILE "+filePath+" / "+Date.now());
 
-                res.json({ success: true, size: statFile?.size, lastModified: statFile?.mtimeMs });
+                    const statFile = await stat(filePath);
+
+                    await commitChanges(req, filesDirectory, req.body.commitMessage||`Save file ${path.relative(filesDirectory, filePath)}`);
+
+                    await onFileChange({appName: req.params.appName, filePath, 
+                            relativePath: req.body.path, 
+                            previousContent, newContent, 
+                            changeType: "save", basePath: filesDirectory});
+
+                    // contentModified tells the editor to reload the content transformed by the formatter or a listener
+                    res.json({ success: true, size: statFile?.size, lastModified: statFile?.mtimeMs, hash: await storeBlobOrHash(filesDirectory, newContent), 
+                        contentModified: !newContent.equals(req.file.buffer) });
+                });
             } catch (err) {
                 console.warn(`Error writing file ${req.body.path} %o`, err);
+                if(err.statusCode){
+                    return res.status(err.statusCode).end(err.message);
+                }
                 res.status(500).send('Error writing file ' + req.body.path);
             }
         })();
 
     });
 
-    router.post('/files/:appName/createDir', (req, res) => {
+    /**
+     * Upload many files at once (folder drag and drop), they are committed together
+     * 
+     * Body : files (the files), paths (relative path of each file, in the same order, as many fields or a JSON array).
+     * When paths are not given, the file names (that may contain the relative path) are used
+     * 
+     * @param {string} appName - Name of the app
+     */
+    router.post('/files/:appName/upload', handleUpload(upload.array('files')), (req, res) => {
+        (async () => {
+            if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
+            const files = req.files??[];
+            if (files.length === 0) {
+                return res.status(400).end("Missing files")
+            }
+            let paths = req.body.paths;
+            if (typeof(paths) === "string") {
+                try{
+                    paths = paths.startsWith("[") ? JSON.parse(paths) : [paths];
+                // eslint-disable-next-line no-unused-vars
+                }catch(err){
+                    return res.status(400).end("Invalid paths")
+                }
+            }
+
+            try {
+                const filesDirectory = getSecurePath(req.query.dir??DEFAULT_DIR, req.params.appName);
+                await withRepoLock(filesDirectory, async () => {
+                    const results = [];
+                    const changes = [];
+                    for(let i=0; i<files.length; i++){
+                        const relativePath = paths?.[i] ?? files[i].originalname;
+                        // the paths come from the client JSON, they may not be strings
+                        let filePath;
+                        try{
+                            if (typeof(relativePath) !== "string" || !relativePath.match(REGEXP_CHECK_PATH)) {
+                                throw new Error("Forbidden path");
+                            }
+                            filePath = resolveAppPath(filesDirectory, relativePath);
+                        // eslint-disable-next-line no-unused-vars
+                        }catch(err){
+                            results.push({ path: relativePath, success: false, error: "Forbidden path" });
+                            continue;
+                        }
+                        try{
+                            let previousContent;
+                            try{
+                                previousContent = await readFile(filePath) ;
+                            // eslint-disable-next-line no-unused-vars
+                            }catch(err){
+                                //file not exists
+                            }
+                            const newContent = await beforeFileChange({appName: req.params.appName, filePath, relativePath: path.relative(filesDirectory, filePath), 
+                                previousContent, newContent: files[i].buffer, changeType: "save", basePath: filesDirectory});
+                            await mkdirs(path.dirname(filePath));
+                            await writeFile(filePath, newContent);
+                            const statFile = await stat(filePath);
+                            changes.push({ filePath, relativePath: path.relative(filesDirectory, filePath), previousContent, newContent });
+                            results.push({ path: relativePath, success: true, size: statFile.size, lastModified: statFile.mtimeMs });
+                        }catch(err){
+                            logger.warn(`Error writing file ${relativePath} %o`, err);
+                            // the message of a listener refusing the file is for the user
+                            results.push({ path: relativePath, success: false, error: err.statusCode === 400 ? err.message : "Error writing file" });
+                        }
+                    }
+
+                    if(changes.length > 0){
+                        await commitChanges(req, filesDirectory, `Upload ${changes.length} file${changes.length>1?"s":""}`);
+                    }
+
+                    for(let change of changes){
+                        await onFileChange({appName: req.params.appName, basePath: filesDirectory, changeType: "save", ...change});
+                    }
+
+                    res.json({ success: results.every(r => r.success), files: results });
+                });
+            } catch (err) {
+                logger.warn(`Error upload files %o`, err);
+                if(err.statusCode){
+                    return res.status(err.statusCode).end(err.message);
+                }
+                res.status(500).send('Error uploading files');
+            }
+        })();
+    });
+
+    router.post('/files/:appName/createDir', (req, res) => {
         if (!req.body.path) {
             return res.status(400).end("Missing path")
         }
@@ -221,15 +1029,23 @@ export function initFileApi({router, contextOfApp, logger, graphql}){
             
             try {
                 const filesDirectory = getSecurePath(req.query.dir??DEFAULT_DIR, req.params.appName);
-                const filePath = path.join(filesDirectory, req.body.path);
+                const filePath = resolveAppPath(filesDirectory, req.body.path);
+                const relativePath = path.relative(filesDirectory, filePath);
+                await beforeFileChange({appName: req.params.appName, filePath, relativePath, 
+                    changeType: "createDir", basePath: filesDirectory});
                 // Ensure the target directory exists
                 await mkdirs(filePath, { recursive: true });
 
                 const statFile = await stat(filePath);
 
+                await onFileChange({appName: req.params.appName, filePath, relativePath, changeType: "createDir", basePath: filesDirectory});
+
                 res.json({ success: true, size: statFile?.size, lastModified: statFile?.mtimeMs });
             } catch (err) {
                 console.warn(`Error create dir ${req.body.path} %o`, err);
+                if(err.statusCode){
+                    return res.status(err.statusCode).end(err.message);
+                }
                 res.status(500).send('Error create dir ' + req.body.path);
             }
         })();
@@ -247,22 +1063,29 @@ export function initFileApi({router, contextOfApp, logger, graphql}){
             }
             try {
                 const filesDirectory = getSecurePath(req.query.dir??DEFAULT_DIR, req.params.appName);
-                const filePath = path.join(filesDirectory, req.query.path);
-                const previousContent = await readFile(filePath) ;
+                await withRepoLock(filesDirectory, async () => {
+                    const filePath = resolveAppPath(filesDirectory, req.query.path);
+                    const previousContent = await readFile(filePath) ;
 
-                if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
-                await unlink(filePath) ;
+                    if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
+                    await beforeFileChange({appName: req.params.appName, filePath, relativePath: req.query.path, 
+                        previousContent, newContent: null, changeType: "delete", basePath: filesDirectory});
+                    await unlink(filePath) ;
 
-                await commitAllChanges(filesDirectory, { commitMessage: `Delete file ${path.relative(filesDirectory, filePath)}` });
+                    await commitChanges(req, filesDirectory, `Delete file ${path.relative(filesDirectory, filePath)}`);
 
-                await onFileChange({appName: req.params.appName, filePath, 
-                    relativePath: req.body.path, 
-                    previousContent, newContent: null, 
-                    changeType: "delete",  basePath: filesDirectory});
+                    await onFileChange({appName: req.params.appName, filePath, 
+                        relativePath: req.query.path, 
+                        previousContent, newContent: null, 
+                        changeType: "delete",  basePath: filesDirectory});
 
-                res.json({success: true})
+                    res.json({success: true})
+                });
             } catch (err) {
                 logger.warn(`Error delete file ${req.query.path} %o`, err)
+                if(err.statusCode){
+                    return res.status(err.statusCode).end(err.message);
+                }
                 res.status(500).send('Error reading file ' + req.query.path);
             }
         })();
@@ -278,73 +1101,449 @@ export function initFileApi({router, contextOfApp, logger, graphql}){
             }
             try {
                 const filesDirectory = getSecurePath(req.query.dir??DEFAULT_DIR, req.params.appName);
-                const filePath = path.join(filesDirectory, req.query.path);
-                if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
-                await remove(filePath) ;
-                await commitAllChanges(filesDirectory, { commitMessage: `Delete directory ${path.relative(filesDirectory, filePath)}` });
+                await withRepoLock(filesDirectory, async () => {
+                    const filePath = resolveAppPath(filesDirectory, req.query.path);
+                    if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
+                    await beforeFileChange({appName: req.params.appName, filePath, relativePath: req.query.path, 
+                        changeType: "deleteDir", basePath: filesDirectory});
+                    await remove(filePath) ;
+                    await commitChanges(req, filesDirectory, `Delete directory ${path.relative(filesDirectory, filePath)}`);
                 
-                await onFileChange({appName: req.params.appName, filePath, changeType: "deleteDir", basePath: filesDirectory});
+                    await onFileChange({appName: req.params.appName, filePath, changeType: "deleteDir", basePath: filesDirectory});
 
-                res.json({success: true})
+                    res.json({success: true})
+                });
             } catch (err) {
                 logger.warn(`Error delete file ${req.query.path} %o`, err)
+                if(err.statusCode){
+                    return res.status(err.statusCode).end(err.message);
+                }
                 res.status(500).send('Error reading file ' + req.query.path);
             }
         })();
     });
+
+
+    /**
+     * Rename or move a file or a directory inside the same dir
+     * 
+     * The move is recorded through git mv and committed at once so the history follows the file
+     */
+    router.post('/files/:appName/move', (req, res) => {
+        if (!req.body.path || !req.body.newPath) {
+            return res.status(400).end("Missing path")
+        }
+        if (!req.body.path.match(REGEXP_CHECK_PATH)) {
+            return res.status(500).end("Forbidden path " + req.body.path)
+        }
+        if (!req.body.newPath.match(REGEXP_CHECK_PATH)) {
+            return res.status(500).end("Forbidden path " + req.body.newPath)
+        }
+        (async () => {
+            if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
+
+            try {
+                const filesDirectory = getSecurePath(req.query.dir??DEFAULT_DIR, req.params.appName);
+                await withRepoLock(filesDirectory, async () => {
+                    const filePath = resolveAppPath(filesDirectory, req.body.path);
+                    const newFilePath = resolveAppPath(filesDirectory, req.body.newPath);
+                    const relativePath = path.relative(filesDirectory, filePath);
+                    const newRelativePath = path.relative(filesDirectory, newFilePath);
+                    if(!relativePath || !newRelativePath || relativePath === newRelativePath){
+                        return res.status(400).end("Invalid destination " + req.body.newPath);
+                    }
+                    if(newRelativePath.startsWith(relativePath + path.sep)){
+                        return res.status(400).end("Cannot move a directory inside itself");
+                    }
+
+                    let statFile;
+                    try{
+                        statFile = await stat(filePath);
+                    // eslint-disable-next-line no-unused-vars
+                    }catch(err){
+                        return res.status(404).end("File not found " + req.body.path);
+                    }
+                    try{
+                        await stat(newFilePath);
+                        return res.status(409).end("Destination already exists " + req.body.newPath);
+                    // eslint-disable-next-line no-unused-vars
+                    }catch(err){
+                        //ok, destination does not exist
+                    }
+
+                    const isDirectory = statFile.isDirectory();
+                    const content = isDirectory ? undefined : await readFile(filePath);
+
+                    await beforeFileChange({appName: req.params.appName, filePath: newFilePath, relativePath: newRelativePath, 
+                        previousFilePath: filePath, previousRelativePath: relativePath,
+                        previousContent: content, newContent: content, changeType: "rename", basePath: filesDirectory});
+
+                    await moveWithHistory(filesDirectory, relativePath, newRelativePath);
+
+                    await commitChanges(req, filesDirectory, `Move ${isDirectory?"directory":"file"} ${relativePath} to ${newRelativePath}`);
+
+                    await onFileChange({appName: req.params.appName, filePath: newFilePath, 
+                        relativePath: newRelativePath, 
+                        previousFilePath: filePath, previousRelativePath: relativePath,
+                        previousContent: content, newContent: content, 
+                        changeType: "rename", basePath: filesDirectory});
+
+                    const newStat = await stat(newFilePath);
+                    res.json({ success: true, path: newRelativePath, size: newStat?.size, lastModified: newStat?.mtimeMs });
+                });
+            } catch (err) {
+                logger.warn(`Error move file ${req.body.path} to ${req.body.newPath} %o`, err);
+                if(err.statusCode){
+                    return res.status(err.statusCode).end(err.message);
+                }
+                res.status(500).send('Error moving file ' + req.body.path);
+            }
+        })();
+    });
     
 
+    /**
+     * Export the files of the app as an archive
+     * 
+     * Query : path (only export this sub directory), include, exclude (comma separated globs), 
+     * includeNodeModules ("true" to export node_modules), showIgnored ("true" to also export the files ignored by the 
+     * .gitignore and .editorignore of the app), ref (export the files as they were in this commit, branch or tag, 
+     * only the committed files are exported), format ("zip" (default) or "tar.gz")
+     * 
+     * @param {string} appName - Name of the app
+     */
     router.get('/zip/:appName', (req, res) => {
         (async ()=>{
             if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
 
-            const zipFileName = `${req.params.appName}.zip`;
-            res.setHeader('Content-Disposition', `attachment; filename=${zipFileName}`);
-            res.setHeader('Content-Type', 'application/zip');
-          
-            // Create the zip archive
-            const archive = archiver('zip', {
-                zlib: { level: 5 } // Sets the compression level (0-9)
-            });
-          
-            // On archive finalize, log result
-            // archive.on('end', () => {
-            //   console.log(`Archive ${zipFileName} has been finalized and output file descriptor has closed.`);
-            // });
-          
-            // Handle archive errors
-            archive.on('error', (err) => {
-                throw res.status(500).json(err);
-            });
-          
-            // Pipe the output to the response
-            archive.pipe(res);
-          
-            // Append files from the directory
-            const filesDirectory = getSecurePath(req.query.dir??DEFAULT_DIR, req.params.appName);
-            archive.directory(filesDirectory, false);
-          
-            // Finalize the archive
-            archive.finalize();
+            const format = req.query.format??"zip";
+            if(!["zip", "tar.gz"].includes(format)){
+                return res.status(400).end("Invalid format " + format);
+            }
+            if(req.query.path && !req.query.path.match(REGEXP_CHECK_PATH)){
+                return res.status(500).end("Forbidden path " + req.query.path);
+            }
+            if(req.query.ref && (!req.query.ref.match(REGEXP_CHECK_REF) || req.query.ref.startsWith("-"))){
+                return res.status(400).end("Invalid reference " + req.query.ref);
+            }
+
+            try{
+                const filesDirectory = getSecurePath(req.query.dir??DEFAULT_DIR, req.params.appName);
+                const sourceDirectory = req.query.path ? resolveAppPath(filesDirectory, req.query.path, { allowRoot: true }) : filesDirectory;
+                const subPath = path.relative(filesDirectory, sourceDirectory);
+                const include = toGlobList(req.query.include);
+                const exclude = toGlobList(req.query.exclude);
+                if(req.query.includeNodeModules !== "true"){
+                    exclude.push("node_modules");
+                }
+                const isIgnored = await loadIgnoreRules(filesDirectory, {
+                    showIgnored: req.query.showIgnored === "true",
+                    additionalRules: req.query.includeNodeModules === "true" ? ["!node_modules/"] : [],
+                    path: subPath
+                });
+
+                const archiveName = [req.params.appName, subPath ? path.basename(subPath) : null, req.query.ref?.replace(/[^\w.-]/g, "-")]
+                    .filter(n => n).join("-");
+
+                // Prepare the archive source before sending the headers so the errors can still be sent as JSON
+                let gitArchive;
+                let filesToArchive;
+                if(req.query.ref){
+                    gitArchive = await spawnGitArchive(filesDirectory, { ref: req.query.ref, subPath: subPath.split(path.sep).join("/"), format, include, exclude });
+                }else{
+                    filesToArchive = await listFilesToArchive(sourceDirectory, {
+                        include, exclude,
+                        isIgnored: (relativePath, isDirectory) => isIgnored(path.join(subPath, relativePath), isDirectory)
+                    });
+                }
+
+                res.setHeader('Content-Disposition', `attachment; filename=${archiveName}.${format}`);
+                res.setHeader('Content-Type', format === "zip" ? 'application/zip' : 'application/gzip');
+
+                // once the archive started to be sent, an error can only interrupt the download
+                const onArchiveError = (err) => {
+                    logger.warn(`Error export archive ${req.params.appName} %o`, err);
+                    if(!res.headersSent){
+                        return res.status(500).json({ error: "Error creating archive" });
+                    }
+                    res.destroy(err);
+                };
+
+                if(gitArchive){
+                    let stderr = "";
+                    gitArchive.stderr.on("data", data => { stderr += data.toString(); });
+                    gitArchive.on("error", onArchiveError);
+                    gitArchive.on("close", code => {
+                        if(code !== 0){
+                            return onArchiveError(new Error(`git archive failed with code ${code}: ${stderr}`));
+                        }
+                        res.end();
+                    });
+                    // the response is ended when the process exits, to know if it succeeded
+                    gitArchive.stdout.pipe(res, { end: false });
+                    return;
+                }
+
+                // Create the archive
+                const archive = format === "zip" ? archiver('zip', {
+                    zlib: { level: 5 } // Sets the compression level (0-9)
+                }) : archiver('tar', { gzip: true, gzipOptions: { level: 5 } });
+
+                archive.on('error', onArchiveError);
+                archive.on('warning', (err) => {
+                    logger.warn(`Warning export archive ${req.params.appName} %o`, err);
+                });
+
+                // Pipe the output to the response
+                archive.pipe(res);
+
+                for(let relativePath of filesToArchive){
+                    archive.file(path.join(sourceDirectory, relativePath), { name: relativePath });
+                }
+
+                // Finalize the archive
+                archive.finalize();
+            }catch(err){
+                logger.warn(`Error export archive ${req.params.appName} %o`, err);
+                if(res.headersSent){
+                    return res.destroy(err);
+                }
+                res.status(err.statusCode??500).json({ error: err.message });
+            }
+        })();
+    });
+
+    /**
+     * Import the files of a ZIP archive in the app
+     * 
+     * Body : file (the ZIP archive), mode ("merge" to write over the existing files (default), "replace" to also delete the files that are not in the archive)
+     * 
+     * @param {string} appName - Name of the app
+     */
+    const zipUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: ZIP_IMPORT_MAX_SIZE, files: 1 } });
+    router.post('/zip/:appName/import', handleUpload(zipUpload.single('file')), (req, res) => {
+        (async ()=>{
+            if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
+            if (!req.file) {
+                return res.status(400).end("Missing file")
+            }
+            const mode = req.body.mode??"merge";
+            if (!["merge", "replace"].includes(mode)) {
+                return res.status(400).end("Invalid mode " + mode)
+            }
+            try{
+                const filesDirectory = getSecurePath(req.query.dir??DEFAULT_DIR, req.params.appName);
+                await withRepoLock(filesDirectory, async () => {
+                    const entries = await readZipArchive(req.file.buffer, { maxEntries: ZIP_IMPORT_MAX_ENTRIES, maxTotalSize: ZIP_IMPORT_MAX_SIZE });
+
+                    const invalidEntries = entries.filter(entry => !entry.path.match(REGEXP_CHECK_PATH)).map(entry => entry.path);
+                    if(invalidEntries.length > 0){
+                        return res.status(400).json({ error: "Forbidden paths in the archive", invalidEntries });
+                    }
+                    const isIgnored = await loadIgnoreRules(filesDirectory);
+                    const skipped = [];
+                    const files = entries.filter(entry => {
+                        if(isIgnored(entry.path)){
+                            skipped.push(entry.path);
+                            return false;
+                        }
+                        return true;
+                    });
+
+                    const changes = [];
+                    if(mode === "replace"){
+                        const importedPaths = new Set(files.map(file => path.join(filesDirectory, file.path)));
+                        for(let relativePath of await listAllFiles(filesDirectory, isIgnored)){
+                            const filePath = path.join(filesDirectory, relativePath);
+                            if(importedPaths.has(filePath)){ continue ; }
+                            const previousContent = await readFile(filePath);
+                            changes.push({ filePath, relativePath, previousContent, newContent: null, changeType: "delete" });
+                        }
+                    }
+                    for(let file of files){
+                        const filePath = path.join(filesDirectory, file.path);
+                        let previousContent;
+                        try{
+                            previousContent = await readFile(filePath) ;
+                        // eslint-disable-next-line no-unused-vars
+                        }catch(err){
+                            //file not exists
+                        }
+                        if(previousContent && previousContent.equals(file.content)){
+                            continue;
+                        }
+                        changes.push({ filePath, relativePath: path.relative(filesDirectory, filePath), previousContent, newContent: file.content, changeType: "save" });
+                    }
+
+                    // the import is done completely or not at all, all the changes are checked by the listeners before any write
+                    const rejected = [];
+                    for(let change of changes){
+                        try{
+                            change.newContent = await beforeFileChange({appName: req.params.appName, basePath: filesDirectory, ...change});
+                        }catch(err){
+                            if(err.statusCode !== 400){ throw err ; }
+                            rejected.push({ path: change.relativePath, error: err.message });
+                        }
+                    }
+                    if(rejected.length > 0){
+                        return res.status(400).json({ error: "Files refused", rejected });
+                    }
+
+                    for(let change of changes){
+                        if(change.changeType === "delete"){
+                            await unlink(change.filePath);
+                        }else{
+                            await mkdirs(path.dirname(change.filePath));
+                            await writeFile(change.filePath, change.newContent);
+                        }
+                    }
+
+                    await commitChanges(req, filesDirectory, `Import archive ${req.file.originalname}`);
+
+                    for(let change of changes){
+                        await onFileChange({appName: req.params.appName, basePath: filesDirectory, ...change});
+                    }
+
+                    res.json({
+                        success: true,
+                        created: changes.filter(c => c.changeType === "save" && !c.previousContent).length,
+                        modified: changes.filter(c => c.changeType === "save" && c.previousContent).length,
+                        deleted: changes.filter(c => c.changeType === "delete").length,
+                        skipped
+                    });
+                });
+            }catch(err){
+                logger.warn(`Error import archive ${req.params.appName} %o`, err);
+                if(err.statusCode){
+                    return res.status(err.statusCode).json({ error: err.message });
+                }
+                res.status(500).json({ error: 'Error importing archive' });
+            }
+        })();
+    });
+
+    /**
+     * Get the manifest of the code editors : the built-in editors and the ones registered by the plugins (codeEditors plugin slot)
+     * 
+     * Query : path (only the enabled editors handling this file), mimeType (mime type of the file, guessed from path if not given)
+     * 
+     * Response : [{id, plugin, name, entryUrl, filePatterns, mimeTypes, priority, enabled}], sorted by priority
+     * 
+     * @param {string} appName - Name of the app
+     */
+    router.get('/editors/:appName', (req, res) => {
+        (async ()=>{
+            if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
+            try{
+                let manifest = await getEditorManifest(req.params.appName);
+                if(req.query.path){
+                    manifest = manifest.filter(editor => editor.enabled && editorHandlesFile(editor, req.query.path, req.query.mimeType));
+                }
+                res.json(manifest);
+            }catch(err){
+                logger.warn(`Error list editors ${req.params.appName} %o`, err);
+                res.status(500).json({ error: "Error listing editors" });
+            }
         })();
     });
 
+    /**
+     * Get the manifest of the editors of an app (see /editors/:appName)
+     */
+    async function getEditorManifest(appName){
+        let appContext = await contextOfApp(appName) ;
+        const editors = normalizeCodeEditors([...BUILT_IN_CODE_EDITORS, ...(appContext.pluginsData["code-editor"]?.pluginSlots?.codeEditors??[])]);
+        const settings = await readAppSettings(appName);
+        // the editors are served from /plugin/app/... whatever the app
+        return buildEditorManifest(editors, { appName: "app", enabledEditors: settings.codeEditors });
+    }
+
+    /**
+     * Module of the code editors, the editors are imported on demand
+     * 
+     * The default export is the array of the enabled editors of the manifest (see /editors/:appName), by priority, 
+     * editor.load() imports the module of the editor (see loadEditor)
+     * 
+     * The named exports : 
+     *  - findEditors(filePath, mimeType) : the enabled editors handling a file (see /editors/:appName)
+     *  - loadEditor(editor) : import the module of an editor (once), gives {id, plugin, name, ...default export of the module}
+     *  - loadEditorsForFile(filePath, mimeType) : load the editors handling a file
+     * 
+     * @param {string} appName - Name of the app
+     */
     router.get('/editor-extensions/:appName', (req, res) => {
         (async ()=>{
-            
-            let appContext = await contextOfApp(req.params.appName) ;
-            let allowedExtensions = appContext.pluginsData["code-editor"]?.pluginSlots?.codeEditors??[] ;
-            let js = `let extensions = [];`;
-            for(let i=0; i<allowedExtensions.length; i++){
-                let ext = allowedExtensions[i];
+            try{
+                const enabledEditors = (await getEditorManifest(req.params.appName)).filter(editor => editor.enabled);
+                res.setHeader("Content-Type", "application/javascript");
+                res.end(`
+const MANIFEST_URL = new URL(${JSON.stringify("../editors/" + encodeURIComponent(req.params.appName))}, import.meta.url);
+const loadedEditors = new Map();
+
+const editors = ${JSON.stringify(enabledEditors, null, 4)}.map(editor => ({ ...editor, load: () => loadEditor(editor) }));
+
+export async function findEditors(filePath, mimeType) {
+    const url = new URL(MANIFEST_URL);
+    url.searchParams.set("path", filePath);
+    if (mimeType) {
+        url.searchParams.set("mimeType", mimeType);
+    }
+    const response = await fetch(url, { credentials: "same-origin" });
+    if (!response.ok) {
+        throw new Error("Error loading the editors of " + filePath + " : " + await response.text());
+    }
+    return await response.json();
+}
+
+export function loadEditor(editor) {
+    if (!loadedEditors.has(editor.id)) {
+        loadedEditors.set(editor.id, import(editor.entryUrl).then(module => ({ id: editor.id, plugin: editor.plugin, name: editor.name, ...module.default })).catch(err => {
+            // try again on the next call
+            loadedEditors.delete(editor.id);
+            throw err;
+        }));
+    }
+    return loadedEditors.get(editor.id);
+}
+
+export async function loadEditorsForFile(filePath, mimeType) {
+    return await Promise.all((await findEditors(filePath, mimeType)).map(loadEditor));
+}
+
+export default editors;
+`);
+            }catch(err){
+                logger.warn(`Error load editors ${req.params.appName} %o`, err);
+                res.status(500).end("Error loading editors");
+            }
+        })();
+    });
+
+    /**
+     * Module of the code editors, all imported when the module is loaded
+     * 
+     * The default export is the array of the enabled editors : [{id, plugin, name, ...default export of the module}], by priority
+     * 
+     * @param {string} appName - Name of the app
+     */
+    router.get('/editor-extensions/:appName/eager', (req, res) => {
+        (async ()=>{
+            try{
+                const enabledEditors = (await getEditorManifest(req.params.appName)).filter(editor => editor.enabled);
+                let js = enabledEditors.map((editor, i) => `import ext${i} from ${JSON.stringify(editor.entryUrl)} ;\n`).join("");
                 js += `
-                import ext${i} from "${ext.extensionPath.replace(":appName", "app")}" ;
-                extensions.push({ plugin: "${ext.plugin}", ...ext${i}}) ;
-                `
+const extensions = [
+${enabledEditors.map((editor, i) => `    { id: ${JSON.stringify(editor.id)}, plugin: ${JSON.stringify(editor.plugin)}, name: ${JSON.stringify(editor.name)}, ...ext${i} }`).join(",\n")}
+];
+
+export default extensions;
+`;
+                res.setHeader("Content-Type", "application/javascript");
+                res.end(js);
+            }catch(err){
+                logger.warn(`Error load editors ${req.params.appName} %o`, err);
+                res.status(500).end("Error loading editors");
             }
-            js += `export default extensions`;
-            res.setHeader("Content-Type", "application/javascript");
-            res.end(js);
         })();
     });
     router.get('/editor-javascript-api/:appName', (req, res) => {
@@ -364,6 +1563,24 @@ export function initFileApi({router, contextOfApp, logger, graphql}){
     });
 
 
+    /**
+     * Get the history filters from the query : path (file or directory), author, since, until (dates), message
+     */
+    function getHistoryFilters(query){
+        if(query.path && !query.path.match(REGEXP_CHECK_PATH)){
+            const error = new Error("Forbidden path " + query.path);
+            error.statusCode = 400;
+            throw error;
+        }
+        return {
+            path: query.path,
+            author: query.author,
+            since: query.since,
+            until: query.until,
+            message: query.message
+        };
+    }
+
     /**
      * Get the history entry count of the app
      * 
@@ -374,11 +1591,11 @@ export function initFileApi({router, contextOfApp, logger, graphql}){
             if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
             try{
                 const filesDirectory = getSecurePath(req.query.dir??DEFAULT_DIR, req.params.appName);
-                const count = await getCommitCount(filesDirectory);
+                const count = await getCommitCount(filesDirectory, getHistoryFilters(req.query));
                 res.json({count});
             }catch(err){
                 if(err.message){
-                    return res.status(500).json(err.message);
+                    return res.status(err.statusCode??500).json(err.message);
                 }
                 res.status(500).json(err);
             }
@@ -390,24 +1607,35 @@ export function initFileApi({router, contextOfApp, logger, graphql}){
             if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
             try{
                 const filesDirectory = getSecurePath(req.query.dir??DEFAULT_DIR, req.params.appName);
-                const commits = await listCommitsAsJson(filesDirectory, { offset: req.query.offset, limit: req.query.limit });
+                const commits = await listCommitsAsJson(filesDirectory, { offset: req.query.offset, limit: req.query.limit, ...getHistoryFilters(req.query) });
                 res.json(commits);
             }catch(err){
                 if(err.message){
-                    return res.status(500).json(err.message);
+                    return res.status(err.statusCode??500).json(err.message);
                 }
                 res.status(500).json(err);
             }
         })();
     });
 
-    router.get('/git/history/commitInfo/:appName/:hash', (req, res) => {
+    /**
+     * Get the count of history entries of a file (following renames)
+     * 
+     * @param {string} appName - Name of the app
+     */
+    router.get('/git/history/file/count/:appName', (req, res) => {
         (async ()=>{
+            if (!req.query.path) {
+                return res.status(400).end("Missing path")
+            }
+            if (!req.query.path.match(REGEXP_CHECK_PATH)) {
+                return res.status(500).end("Forbidden path " + req.query.path)
+            }
             if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
             try{
                 const filesDirectory = getSecurePath(req.query.dir??DEFAULT_DIR, req.params.appName);
-                const infos = await getCommitInfo(filesDirectory, req.params.hash);
-                res.json(infos);
+                const count = await getFileCommitCount(filesDirectory, req.query.path);
+                res.json({count});
             }catch(err){
                 if(err.message){
                     return res.status(500).json(err.message);
@@ -417,13 +1645,24 @@ export function initFileApi({router, contextOfApp, logger, graphql}){
         })();
     });
 
-    router.get('/git/history/commitContentDiff/:appName/:hash/:filePath', (req, res) => {
+    /**
+     * List the history entries of a file (following renames), same pagination as /git/history/list
+     * 
+     * @param {string} appName - Name of the app
+     */
+    router.get('/git/history/file/list/:appName', (req, res) => {
         (async ()=>{
+            if (!req.query.path) {
+                return res.status(400).end("Missing path")
+            }
+            if (!req.query.path.match(REGEXP_CHECK_PATH)) {
+                return res.status(500).end("Forbidden path " + req.query.path)
+            }
             if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
             try{
                 const filesDirectory = getSecurePath(req.query.dir??DEFAULT_DIR, req.params.appName);
-                const result = await getFileContentDiff(filesDirectory, req.params.hash, req.params.filePath);
-                res.json(result);
+                const commits = await listFileCommitsAsJson(filesDirectory, req.query.path, { offset: req.query.offset, limit: req.query.limit });
+                res.json(commits);
             }catch(err){
                 if(err.message){
                     return res.status(500).json(err.message);
@@ -433,13 +1672,30 @@ export function initFileApi({router, contextOfApp, logger, graphql}){
         })();
     });
 
-    router.get('/git/history/commitContentDiffHead/:appName/:hash/:filePath', (req, res) => {
+    /**
+     * Get the commit that last modified each line of a file
+     * 
+     * Query : path, ref (version of the file, default HEAD)
+     * 
+     * @param {string} appName - Name of the app
+     */
+    router.get('/git/blame/:appName', (req, res) => {
         (async ()=>{
+            if (!req.query.path) {
+                return res.status(400).end("Missing path")
+            }
+            if (!req.query.path.match(REGEXP_CHECK_PATH)) {
+                return res.status(500).end("Forbidden path " + req.query.path)
+            }
+            const ref = req.query.ref??"HEAD";
+            if (!ref.match(REGEXP_CHECK_REF) || ref.startsWith("-")) {
+                return res.status(400).end("Invalid reference " + ref)
+            }
             if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
             try{
                 const filesDirectory = getSecurePath(req.query.dir??DEFAULT_DIR, req.params.appName);
-                const result = await getFileContentDiffWithHead(filesDirectory, req.params.hash, req.params.filePath);
-                res.json(result);
+                const lines = await blameFile(filesDirectory, req.query.path, ref);
+                res.json(lines);
             }catch(err){
                 if(err.message){
                     return res.status(500).json(err.message);
@@ -449,27 +1705,47 @@ export function initFileApi({router, contextOfApp, logger, graphql}){
         })();
     });
 
-    router.post('/addPackage/:appName', (req, res) => {
+    router.get('/git/history/commitInfo/:appName/:hash', (req, res) => {
         (async ()=>{
             if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
             try{
-                if (!req.body.filePackage.match(REGEXP_CHECK_PATH)) {
-                    return res.status(500).end("Forbidden path " + req.body.filePackage)
-                }
-
                 const filesDirectory = getSecurePath(req.query.dir??DEFAULT_DIR, req.params.appName);
-                const packagePath = path.join(filesDirectory, req.body.filePackage);
-
-                const stdout = await runCommand('npm install --ignore-scripts '+req.body.packageName, path.dirname(packagePath));
+                const infos = await getCommitInfo(filesDirectory, req.params.hash);
+                res.json(infos);
+            }catch(err){
+                if(err.message){
+                    return res.status(500).json(err.message);
+                }
+                res.status(500).json(err);
+            }
+        })();
+    });
 
-                const packageJson = await readFile(packagePath, {encoding: "utf-8"}) ;
+    router.get('/git/history/commitContentDiff/:appName/:hash/:filePath', (req, res) => {
+        (async ()=>{
+            if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
+            try{
+                const filesDirectory = getSecurePath(req.query.dir??DEFAULT_DIR, req.params.appName);
+                const result = await getFileContentDiff(filesDirectory, req.params.hash, req.params.filePath);
+                res.json(result);
+            }catch(err){
+                if(err.message){
+                    return res.status(500).json(err.message);
+                }
+                res.status(500).json(err);
+            }
+        })();
+    });
 
-                res.json({
-                    stdout, packageJson: packageJson
-                });
+    router.get('/git/history/commitContentDiffHead/:appName/:hash/:filePath', (req, res) => {
+        (async ()=>{
+            if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
+            try{
+                const filesDirectory = getSecurePath(req.query.dir??DEFAULT_DIR, req.params.appName);
+                const result = await getFileContentDiffWithHead(filesDirectory, req.params.hash, req.params.filePath);
+                res.json(result);
             }catch(err){
                 if(err.message){
-                    logger.warn("Error while run npm install "+req.body.packageName+" %o ", err) ;
                     return res.status(500).json(err.message);
                 }
                 res.status(500).json(err);
@@ -477,59 +1753,900 @@ export function initFileApi({router, contextOfApp, logger, graphql}){
         })();
     });
 
-    router.post('/npmInstall/:appName', (req, res) => {
+    /**
+     * Send the error of a git operation route
+     */
+    function sendGitError(res, err){
+        if(err.draftChanges){
+            return res.status(err.statusCode).json({ error: err.message, draftMode: true, files: err.draftChanges });
+        }
+        if(err.rejections){
+            return res.status(err.statusCode).json({ error: err.message, rejections: err.rejections });
+        }
+        if(err.statusCode){
+            return res.status(err.statusCode).json(err.message);
+        }
+        if(err.message){
+            return res.status(500).json(err.message);
+        }
+        res.status(500).json(err);
+    }
+
+    /**
+     * Get the git reference corresponding to a worktree (public or branch directory) or give back the commit hash / tag as is
+     */
+    async function resolveRef(appName, ref){
+        if(!ref || !ref.match(REGEXP_CHECK_REF) || ref.startsWith("-")){
+            const error = new Error("Invalid reference " + ref);
+            error.statusCode = 400;
+            throw error;
+        }
+        const worktreePath = getSecurePath(ref, appName);
+        try{
+            await stat(worktreePath);
+            return await getWorktreeBranch(worktreePath);
+        // eslint-disable-next-line no-unused-vars
+        }catch(err){
+            // not a worktree, use the reference as is
+            return ref;
+        }
+    }
+
+    /**
+     * Compare two versions of the app (public, branches, tags or commits)
+     * 
+     * Query : base (default public), head, mergeBase ("false" to compare both versions directly instead of
+     * showing only the changes done in head since it diverged from base)
+     * 
+     * @param {string} appName - Name of the app
+     */
+    router.get('/git/compare/:appName', (req, res) => {
         (async ()=>{
             if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
             try{
-                if (!req.body.filePackage.match(REGEXP_CHECK_PATH)) {
-                    return res.status(500).end("Forbidden path " + req.body.filePackage)
+                const repoPath = getSecurePath(DEFAULT_DIR, req.params.appName);
+                const base = await resolveRef(req.params.appName, req.query.base??DEFAULT_DIR);
+                const head = await resolveRef(req.params.appName, req.query.head);
+                const result = await compareRefs(repoPath, base, head, { mergeBase: req.query.mergeBase !== "false" });
+                res.json({ base, head, ...result });
+            }catch(err){
+                sendGitError(res, err);
+            }
+        })();
+    });
+
+    /**
+     * Get the content of a file before and after in a comparison
+     * 
+     * Query : base, head, mergeBase (see above), path, previousPath (path in base if the file was renamed)
+     * 
+     * @param {string} appName - Name of the app
+     */
+    router.get('/git/compare/fileDiff/:appName', (req, res) => {
+        (async ()=>{
+            if (!req.query.path) {
+                return res.status(400).end("Missing path")
+            }
+            if (!req.query.path.match(REGEXP_CHECK_PATH) || (req.query.previousPath && !req.query.previousPath.match(REGEXP_CHECK_PATH))) {
+                return res.status(500).end("Forbidden path " + req.query.path)
+            }
+            if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
+            try{
+                const repoPath = getSecurePath(DEFAULT_DIR, req.params.appName);
+                const base = await resolveRef(req.params.appName, req.query.base??DEFAULT_DIR);
+                const head = await resolveRef(req.params.appName, req.query.head);
+                const result = await getCompareFileDiff(repoPath, base, head, req.query.path, {
+                    previousPath: req.query.previousPath,
+                    mergeBase: req.query.mergeBase !== "false"
+                });
+                res.json(result);
+            }catch(err){
+                sendGitError(res, err);
+            }
+        })();
+    });
+
+    /**
+     * Merge a branch in public or in another branch
+     * 
+     * Body : source (branch to merge), target (public or branch receiving the merge, default public)
+     * 
+     * When there is conflicts, the merge stays in progress in the target and must be completed 
+     * (after resolving each file) or aborted with the routes below
+     * 
+     * @param {string} appName - Name of the app
+     */
+    router.post('/git/merge/:appName', (req, res) => {
+        (async ()=>{
+            if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
+            try{
+                const source = req.body.source;
+                const target = req.body.target??DEFAULT_DIR;
+                if(!source){
+                    return res.status(400).json("Missing source");
+                }
+                if(source === target){
+                    return res.status(400).json("Cannot merge a branch in itself");
                 }
+                const sourcePath = getSecurePath(source, req.params.appName);
+                const targetPath = getSecurePath(target, req.params.appName);
+                await withRepoLock(targetPath, async () => {
+                    try{
+                        await stat(sourcePath);
+                    // eslint-disable-next-line no-unused-vars
+                    }catch(err){
+                        return res.status(404).json("Unknown branch " + source);
+                    }
+
+                    // commit the pending modifications of both sides, the merge works on commits
+                    await commitPendingChanges(req, source, `Commit pending changes before merge into ${target}`);
+                    await commitPendingChanges(req, target, `Commit pending changes before merge of ${source}`);
+
+                    const sourceBranch = await getWorktreeBranch(sourcePath);
+                    const result = await mergeBranch(targetPath, sourceBranch, { commitMessage: `Merge ${source} into ${target}`, ...getCommitAuthor(req),
+                        checkChanges: changes => beforeGitChanges({appName: req.params.appName, basePath: targetPath, changes}) });
+                    if(!result.success){
+                        return res.status(409).json({ success: false, conflict: true, operation: "merge", conflicts: result.conflicts });
+                    }
+
+                    const toHash = await getHeadHash(targetPath);
+                    await notifyChangesBetween({appName: req.params.appName, basePath: targetPath, fromRef: result.fromHash, toRef: toHash});
 
+                    res.json({ success: true, hash: toHash });
+                });
+            }catch(err){
+                logger.warn(`Error merge ${req.body.source} into ${req.body.target} %o`, err);
+                sendGitError(res, err);
+            }
+        })();
+    });
+
+    /**
+     * Get the operation in progress (merge or revert) in the dir and its conflicted files
+     * 
+     * @param {string} appName - Name of the app
+     */
+    router.get('/git/merge/status/:appName', (req, res) => {
+        (async ()=>{
+            if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
+            try{
                 const filesDirectory = getSecurePath(req.query.dir??DEFAULT_DIR, req.params.appName);
-                const packagePath = path.join(filesDirectory, req.body.filePackage);
+                const operation = await getOperationInProgress(filesDirectory);
+                res.json({ operation, conflicts: operation ? await getConflicts(filesDirectory) : [] });
+            }catch(err){
+                sendGitError(res, err);
+            }
+        })();
+    });
 
-                const stdout = await runCommand('npm install --ignore-scripts', path.dirname(packagePath));
+    /**
+     * Resolve a conflicted file
+     * 
+     * Body : path, and either content (resolved content), take ("ours", "theirs" or "base") or deleted (true to remove the file)
+     * 
+     * @param {string} appName - Name of the app
+     */
+    router.post('/git/merge/resolve/:appName', (req, res) => {
+        (async ()=>{
+            if (!req.body.path) {
+                return res.status(400).end("Missing path")
+            }
+            if (!req.body.path.match(REGEXP_CHECK_PATH)) {
+                return res.status(500).end("Forbidden path " + req.body.path)
+            }
+            if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
+            try{
+                const filesDirectory = getSecurePath(req.query.dir??DEFAULT_DIR, req.params.appName);
+                resolveAppPath(filesDirectory, req.body.path);
+                await withRepoLock(filesDirectory, async () => {
+                    const conflict = (await getConflicts(filesDirectory)).find(c => c.path === req.body.path);
+                    if(!conflict){
+                        return res.status(404).json("No conflict on " + req.body.path);
+                    }
+                    let content;
+                    if(req.body.deleted){
+                        content = null;
+                    }else if(req.body.take){
+                        if(!["ours", "theirs", "base"].includes(req.body.take)){
+                            return res.status(400).json("Invalid side " + req.body.take);
+                        }
+                        content = conflict[req.body.take];
+                    }else if(typeof(req.body.content) === "string"){
+                        content = req.body.content;
+                    }else{
+                        return res.status(400).json("Missing content");
+                    }
+                    await resolveConflict(filesDirectory, req.body.path, content);
+                    res.json({ success: true, conflicts: await getConflicts(filesDirectory) });
+                });
+            }catch(err){
+                logger.warn(`Error resolve conflict ${req.body.path} %o`, err);
+                sendGitError(res, err);
+            }
+        })();
+    });
 
-                const packageJson = await readFile(packagePath, {encoding: "utf-8"}) ;
+    /**
+     * Complete the operation in progress once all the conflicts are resolved
+     * 
+     * @param {string} appName - Name of the app
+     */
+    router.post('/git/merge/complete/:appName', (req, res) => {
+        (async ()=>{
+            if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
+            try{
+                const filesDirectory = getSecurePath(req.query.dir??DEFAULT_DIR, req.params.appName);
+                const {fromHash, toHash} = await continueOperation(filesDirectory, { ...getCommitAuthor(req),
+                    checkChanges: changes => beforeGitChanges({appName: req.params.appName, basePath: filesDirectory, changes}) });
+                await notifyChangesBetween({appName: req.params.appName, basePath: filesDirectory, fromRef: fromHash, toRef: toHash});
+                res.json({ success: true, hash: toHash });
+            }catch(err){
+                logger.warn(`Error complete merge %o`, err);
+                sendGitError(res, err);
+            }
+        })();
+    });
 
-                res.json({
-                    stdout, packageJson: packageJson
+    /**
+     * Abort the operation in progress
+     * 
+     * @param {string} appName - Name of the app
+     */
+    router.post('/git/merge/abort/:appName', (req, res) => {
+        (async ()=>{
+            if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
+            try{
+                const filesDirectory = getSecurePath(req.query.dir??DEFAULT_DIR, req.params.appName);
+                await abortOperation(filesDirectory);
+                res.json({ success: true });
+            }catch(err){
+                logger.warn(`Error abort merge %o`, err);
+                sendGitError(res, err);
+            }
+        })();
+    });
+
+    /**
+     * Restore a file as it was in a given commit
+     * 
+     * Body : hash (commit hash), path
+     * 
+     * @param {string} appName - Name of the app
+     */
+    router.post('/git/restoreFile/:appName', (req, res) => {
+        (async ()=>{
+            if (!req.body.path) {
+                return res.status(400).end("Missing path")
+            }
+            if (!req.body.path.match(REGEXP_CHECK_PATH)) {
+                return res.status(500).end("Forbidden path " + req.body.path)
+            }
+            if (!req.body.hash || !req.body.hash.match(REGEXP_CHECK_HASH)) {
+                return res.status(400).end("Invalid hash " + req.body.hash)
+            }
+            if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
+            try{
+                const filesDirectory = getSecurePath(req.query.dir??DEFAULT_DIR, req.params.appName);
+                await withRepoLock(filesDirectory, async () => {
+                    const filePath = resolveAppPath(filesDirectory, req.body.path);
+                    const relativePath = path.relative(filesDirectory, filePath);
+                    const versionContent = await getFileContentAt(filesDirectory, req.body.hash, relativePath);
+                    if(versionContent === null){
+                        return res.status(404).json(`File ${relativePath} does not exist in version ${req.body.hash}`);
+                    }
+
+                    let previousContent;
+                    try{
+                        previousContent = await readFile(filePath) ;
+                    // eslint-disable-next-line no-unused-vars
+                    }catch(err){
+                        //file not exists
+                    }
+
+                    const newContent = await beforeFileChange({appName: req.params.appName, filePath, relativePath, 
+                        previousContent, newContent: versionContent, changeType: "save", basePath: filesDirectory});
+
+                    await mkdirs(path.dirname(filePath));
+                    await writeFile(filePath, newContent);
+
+                    await commitChanges(req, filesDirectory, `Restore file ${relativePath} to version ${req.body.hash.substring(0, 7)}`);
+
+                    await onFileChange({appName: req.params.appName, filePath, 
+                        relativePath, 
+                        previousContent, newContent, 
+                        changeType: "save", basePath: filesDirectory});
+
+                    const statFile = await stat(filePath);
+                    res.json({ success: true, size: statFile?.size, lastModified: statFile?.mtimeMs, hash: await storeBlobOrHash(filesDirectory, newContent) });
                 });
             }catch(err){
-                if(err.message){
-                    logger.warn("Error while run npm install "+req.body.packageName+" %o ", err) ;
-                    return res.status(500).json(err.message);
-                }
-                res.status(500).json(err);
+                logger.warn(`Error restore file ${req.body.path} %o`, err);
+                sendGitError(res, err);
             }
         })();
     });
 
-    router.post('/removePackage/:appName', (req, res) => {
+    /**
+     * Restore all the files of the app as they were in a given commit
+     * 
+     * Body : hash (commit hash)
+     * 
+     * @param {string} appName - Name of the app
+     */
+    router.post('/git/restoreApp/:appName', (req, res) => {
         (async ()=>{
+            if (!req.body.hash || !req.body.hash.match(REGEXP_CHECK_HASH)) {
+                return res.status(400).end("Invalid hash " + req.body.hash)
+            }
             if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
             try{
-                if (!req.body.filePackage.match(REGEXP_CHECK_PATH)) {
-                    return res.status(500).end("Forbidden path " + req.body.filePackage)
-                }
+                const filesDirectory = getSecurePath(req.query.dir??DEFAULT_DIR, req.params.appName);
+                await withRepoLock(filesDirectory, async () => {
+                    if(await getOperationInProgress(filesDirectory)){
+                        return res.status(409).json("An operation is already in progress, complete or abort it first");
+                    }
+                    // keep the pending modifications in the history before overwriting them
+                    await commitPendingChanges(req, req.query.dir??DEFAULT_DIR, `Commit pending changes before restore`);
+                    const fromHash = await getHeadHash(filesDirectory);
+
+                    await restoreWorktreeToCommit(filesDirectory, req.body.hash, {
+                        checkChanges: changes => beforeGitChanges({appName: req.params.appName, basePath: filesDirectory, changes}) });
+                    await commitAllChanges(filesDirectory, { commitMessage: `Restore app to version ${req.body.hash.substring(0, 7)}`, ...getCommitAuthor(req) });
 
+                    const toHash = await getHeadHash(filesDirectory);
+                    await notifyChangesBetween({appName: req.params.appName, basePath: filesDirectory, fromRef: fromHash, toRef: toHash});
+
+                    res.json({ success: true, hash: toHash });
+                });
+            }catch(err){
+                logger.warn(`Error restore app to ${req.body.hash} %o`, err);
+                sendGitError(res, err);
+            }
+        })();
+    });
+
+    /**
+     * Create a commit reverting a previous commit
+     * 
+     * Body : hash (commit hash)
+     * 
+     * When there is conflicts, the revert stays in progress and must be completed or aborted with the merge routes
+     * 
+     * @param {string} appName - Name of the app
+     */
+    router.post('/git/revert/:appName', (req, res) => {
+        (async ()=>{
+            if (!req.body.hash || !req.body.hash.match(REGEXP_CHECK_HASH)) {
+                return res.status(400).end("Invalid hash " + req.body.hash)
+            }
+            if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
+            try{
                 const filesDirectory = getSecurePath(req.query.dir??DEFAULT_DIR, req.params.appName);
-                const packagePath = path.join(filesDirectory, req.body.filePackage);
+                await withRepoLock(filesDirectory, async () => {
+                    // git revert needs a clean worktree
+                    await commitPendingChanges(req, req.query.dir??DEFAULT_DIR, `Commit pending changes before revert`);
+
+                    const result = await revertCommit(filesDirectory, req.body.hash, { ...getCommitAuthor(req),
+                        checkChanges: changes => beforeGitChanges({appName: req.params.appName, basePath: filesDirectory, changes}) });
+                    if(!result.success){
+                        return res.status(409).json({ success: false, conflict: true, operation: "revert", conflicts: result.conflicts });
+                    }
 
-                const stdout = await runCommand('npm uninstall --ignore-scripts '+req.body.packageName, path.dirname(packagePath));
+                    const toHash = await getHeadHash(filesDirectory);
+                    await notifyChangesBetween({appName: req.params.appName, basePath: filesDirectory, fromRef: result.fromHash, toRef: toHash});
 
-                const packageJson = await readFile(packagePath, {encoding: "utf-8"}) ;
+                    res.json({ success: true, hash: toHash });
+                });
+            }catch(err){
+                logger.warn(`Error revert ${req.body.hash} %o`, err);
+                sendGitError(res, err);
+            }
+        })();
+    });
 
+    /**
+     * List the uncommitted modifications of the app (draft mode)
+     * 
+     * Response : {draftMode, files: [{path, previousPath, type, insertions, deletions, binary}]}
+     * 
+     * @param {string} appName - Name of the app
+     */
+    router.get('/git/status/:appName', (req, res) => {
+        (async ()=>{
+            if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
+            try{
+                const filesDirectory = getSecurePath(req.query.dir??DEFAULT_DIR, req.params.appName);
                 res.json({
-                    stdout, packageJson: packageJson
+                    draftMode: await isDraftMode(req.params.appName, req.query.dir??DEFAULT_DIR),
+                    files: await getUncommittedChanges(filesDirectory)
                 });
             }catch(err){
-                if(err.message){
-                    logger.warn("Error while run npm install "+req.body.packageName+" %o ", err) ;
-                    return res.status(500).json(err.message);
+                logger.warn(`Error get status ${req.params.appName} %o`, err);
+                sendGitError(res, err);
+            }
+        })();
+    });
+
+    /**
+     * Get the content of an uncommitted file in the last commit and in the worktree
+     * 
+     * Query : path, previousPath (for a renamed file)
+     * 
+     * @param {string} appName - Name of the app
+     */
+    router.get('/git/status/diff/:appName', (req, res) => {
+        (async ()=>{
+            if (!req.query.path) {
+                return res.status(400).end("Missing path")
+            }
+            for(let p of [req.query.path, req.query.previousPath].filter(p => p)){
+                if (!p.match(REGEXP_CHECK_PATH)) {
+                    return res.status(500).end("Forbidden path " + p)
                 }
-                res.status(500).json(err);
             }
+            if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
+            try{
+                const filesDirectory = getSecurePath(req.query.dir??DEFAULT_DIR, req.params.appName);
+                for(let p of [req.query.path, req.query.previousPath].filter(p => p)){
+                    resolveAppPath(filesDirectory, p);
+                }
+                res.json(await getUncommittedFileDiff(filesDirectory, req.query.path, { previousPath: req.query.previousPath }));
+            }catch(err){
+                logger.warn(`Error get uncommitted diff ${req.query.path} %o`, err);
+                sendGitError(res, err);
+            }
+        })();
+    });
+
+    /**
+     * Commit some of the uncommitted files (draft mode)
+     * 
+     * Body : files (paths of the files to commit), message (commit message)
+     * 
+     * @param {string} appName - Name of the app
+     */
+    router.post('/git/commit/:appName', (req, res) => {
+        (async ()=>{
+            if (!req.body.message || !req.body.message.trim()) {
+                return res.status(400).end("Missing message")
+            }
+            if (!Array.isArray(req.body.files) || req.body.files.length === 0) {
+                return res.status(400).end("Missing files")
+            }
+            for(let p of req.body.files){
+                if (typeof p !== "string" || !p.match(REGEXP_CHECK_PATH)) {
+                    return res.status(500).end("Forbidden path " + p)
+                }
+            }
+            if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
+            try{
+                const filesDirectory = getSecurePath(req.query.dir??DEFAULT_DIR, req.params.appName);
+                await withRepoLock(filesDirectory, async () => {
+                    if(await getOperationInProgress(filesDirectory)){
+                        return res.status(409).json("An operation is in progress, complete or abort it first");
+                    }
+                    const requested = new Set(req.body.files);
+                    const files = (await getUncommittedFiles(filesDirectory)).filter(file => requested.has(file.path));
+                    if(files.length === 0){
+                        return res.status(400).json("No modification to commit in these files");
+                    }
+                    // a rename is committed with the removal of the previous path
+                    const paths = files.flatMap(file => file.previousPath ? [file.previousPath, file.path] : [file.path]);
+                    await commitFiles(filesDirectory, paths, { commitMessage: req.body.message, ...getCommitAuthor(req) });
+                    res.json({ success: true, hash: await getHeadHash(filesDirectory), files: files.map(file => file.path) });
+                });
+            }catch(err){
+                logger.warn(`Error commit files ${req.params.appName} %o`, err);
+                sendGitError(res, err);
+            }
+        })();
+    });
+
+    /**
+     * Drop the uncommitted modifications of some files (draft mode)
+     * 
+     * Body : files (paths of the files to discard)
+     * 
+     * @param {string} appName - Name of the app
+     */
+    router.post('/git/discard/:appName', (req, res) => {
+        (async ()=>{
+            if (!Array.isArray(req.body.files) || req.body.files.length === 0) {
+                return res.status(400).end("Missing files")
+            }
+            for(let p of req.body.files){
+                if (typeof p !== "string" || !p.match(REGEXP_CHECK_PATH)) {
+                    return res.status(500).end("Forbidden path " + p)
+                }
+            }
+            if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
+            try{
+                const filesDirectory = getSecurePath(req.query.dir??DEFAULT_DIR, req.params.appName);
+                await withRepoLock(filesDirectory, async () => {
+                    if(await getOperationInProgress(filesDirectory)){
+                        return res.status(409).json("An operation is in progress, complete or abort it first");
+                    }
+                    // the discard is the reverse of the uncommitted modifications
+                    const requested = new Set(req.body.files);
+                    const changes = [];
+                    for(let file of (await getUncommittedFiles(filesDirectory)).filter(f => requested.has(f.path))){
+                        let previousContent;
+                        try{
+                            previousContent = await readFile(path.join(filesDirectory, file.path));
+                        // eslint-disable-next-line no-unused-vars
+                        }catch(err){
+                            // deleted file
+                        }
+                        if(file.type === "added"){
+                            changes.push({path: file.path, type: "deleted", previousContent, newContent: null});
+                        }else if(file.type === "renamed"){
+                            // the file gets back its previous name
+                            changes.push({path: file.previousPath, previousPath: file.path, type: "renamed", previousContent, 
+                                newContent: await getFileContentAt(filesDirectory, "HEAD", file.previousPath)});
+                        }else{
+                            changes.push({path: file.path, type: previousContent ? "modified" : "added", previousContent, 
+                                newContent: await getFileContentAt(filesDirectory, "HEAD", file.path)});
+                        }
+                    }
+                    // a discard gets back the committed contents, the contents replaced by the listeners are not used
+                    await beforeGitChanges({appName: req.params.appName, basePath: filesDirectory, changes});
+
+                    const discarded = await discardFiles(filesDirectory, req.body.files);
+
+                    for(let change of changes){
+                        await onFileChange({appName: req.params.appName, filePath: path.join(filesDirectory, change.path),
+                            relativePath: change.path,
+                            previousFilePath: change.previousPath ? path.join(filesDirectory, change.previousPath) : undefined,
+                            previousRelativePath: change.previousPath,
+                            previousContent: change.previousContent, newContent: change.newContent,
+                            changeType: GIT_CHANGE_TYPES[change.type], basePath: filesDirectory});
+                    }
+
+                    res.json({ success: true, files: discarded.map(file => file.path) });
+                });
+            }catch(err){
+                logger.warn(`Error discard files ${req.params.appName} %o`, err);
+                sendGitError(res, err);
+            }
+        })();
+    });
+
+    /**
+     * Get the code editor settings of the app
+     * 
+     * @param {string} appName - Name of the app
+     */
+    router.get('/settings/:appName', (req, res) => {
+        (async ()=>{
+            if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
+            try{
+                res.json(await readAppSettings(req.params.appName));
+            }catch(err){
+                logger.warn(`Error read settings ${req.params.appName} %o`, err);
+                res.status(500).json({ error: "Error reading settings" });
+            }
+        })();
+    });
+
+    /**
+     * Check the user is an admin of the app (platform check, same contract as checkAppAccessMiddleware : the refusal is sent)
+     * 
+     * When the platform can't tell the admins of the app, nobody passes the check
+     */
+    async function checkAppAdminMiddleware(req, res){
+        if(typeof graphql.checkAppAdminMiddleware !== "function"){
+            logger.warn(`No admin check in the platform, ${req.method} ${req.path} refused`);
+            res.status(403).json({ error: "Only the admins of the app can do this" });
+            return false;
+        }
+        return await graphql.checkAppAdminMiddleware(req, res);
+    }
+
+    /**
+     * Modify some code editor settings of the app (admins of the app only)
+     * 
+     * Body : the settings to modify, for example {draftMode: {public: true}} (the object settings are merged)
+     * 
+     * @param {string} appName - Name of the app
+     */
+    router.post('/settings/:appName', (req, res) => {
+        (async ()=>{
+            if(!await checkAppAdminMiddleware(req, res)){ return ;}
+            try{
+                res.json(await updateAppSettings(req.params.appName, req.body));
+            }catch(err){
+                logger.warn(`Error update settings ${req.params.appName} %o`, err);
+                if(err.statusCode){
+                    return res.status(err.statusCode).json({ error: err.message });
+                }
+                res.status(500).json({ error: "Error updating settings" });
+            }
+        })();
+    });
+
+    /**
+     * Check the body of the format and lint routes and give the input of the tools
+     */
+    function getCodeToolInput(req){
+        if (!req.body.path) {
+            const error = new Error("Missing path");
+            error.statusCode = 400;
+            throw error;
+        }
+        if (!req.body.path.match(REGEXP_CHECK_PATH)) {
+            const error = new Error("Forbidden path " + req.body.path);
+            error.statusCode = 500;
+            throw error;
+        }
+        if (typeof req.body.content !== "string") {
+            const error = new Error("Missing content");
+            error.statusCode = 400;
+            throw error;
+        }
+        const basePath = getSecurePath(req.query.dir??DEFAULT_DIR, req.params.appName);
+        return {appName: req.params.appName, basePath, filePath: resolveAppPath(basePath, req.body.path), relativePath: req.body.path, 
+            content: req.body.content, options: req.body.options??{}};
+    }
+
+    /**
+     * List the formatters and linters registered by the plugins (codeTools plugin slot)
+     * 
+     * Query : path (only the tools handling this file)
+     * 
+     * @param {string} appName - Name of the app
+     */
+    router.get('/code-tools/:appName', (req, res) => {
+        (async ()=>{
+            if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
+            try{
+                const tools = await getCodeTools(req.params.appName);
+                res.json((req.query.path ? findCodeTools(tools, req.query.path) : tools).map(describeCodeTool));
+            }catch(err){
+                logger.warn(`Error list code tools ${req.params.appName} %o`, err);
+                res.status(500).json({ error: "Error listing code tools" });
+            }
+        })();
+    });
+
+    /**
+     * Format a content with the formatter registered for the file (the file is not modified)
+     * 
+     * Body : path (path of the file, gives the formatter), content, options (formatting options of the editor, ex: {tabSize, insertSpaces}),
+     * formatter (name of the formatter to use instead of the one of higher priority)
+     * 
+     * @param {string} appName - Name of the app
+     */
+    router.post('/format/:appName', (req, res) => {
+        (async ()=>{
+            if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
+            try{
+                const input = getCodeToolInput(req);
+                const result = await formatContent(await getCodeTools(req.params.appName), input, { formatter: req.body.formatter });
+                res.json({ ...result, changed: result.content !== input.content });
+            }catch(err){
+                logger.warn(`Error format ${req.body.path} %o`, err);
+                if(err.statusCode){
+                    return res.status(err.statusCode).json({ error: err.message });
+                }
+                res.status(500).json({ error: "Error formatting content" });
+            }
+        })();
+    });
+
+    /**
+     * Lint a content with the linters registered for the file
+     * 
+     * Body : path (path of the file, gives the linters), content, options (options given to the linters)
+     * 
+     * Response : {markers, linters, errors}, markers are ready for monaco.editor.setModelMarkers 
+     * (severity 8 error, 4 warning, 2 info, 1 hint)
+     * 
+     * @param {string} appName - Name of the app
+     */
+    router.post('/lint/:appName', (req, res) => {
+        (async ()=>{
+            if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
+            try{
+                const input = getCodeToolInput(req);
+                res.json(await lintContent(await getCodeTools(req.params.appName), input, { logger }));
+            }catch(err){
+                logger.warn(`Error lint ${req.body.path} %o`, err);
+                if(err.statusCode){
+                    return res.status(err.statusCode).json({ error: err.message });
+                }
+                res.status(500).json({ error: "Error linting content" });
+            }
+        })();
+    });
+
+    const npmJobs = new NpmJobRunner({logger});
+
+    const NPM_COMMIT_MESSAGES = {
+        install: () => "Install npm dependencies",
+        add: (packages) => `Add npm package${packages.length>1?"s":""} ${packages.join(", ")}`,
+        remove: (packages) => `Remove npm package${packages.length>1?"s":""} ${packages.join(", ")}`
+    };
+
+    /**
+     * Route starting an npm job on a package.json of the app
+     * 
+     * Body : filePackage (path of the package.json), packageName (packages to add or remove, space separated or array)
+     * 
+     * The job runs in background, the response (202) gives its id. When npm succeeds, the package.json and package-lock.json
+     * changes are committed and the job result contains the new package.json
+     * 
+     * @param {string} action - install, add or remove
+     */
+    function startNpmJobRoute(action){
+        return (req, res) => {
+            (async ()=>{
+                if (!req.body.filePackage) {
+                    return res.status(400).end("Missing filePackage")
+                }
+                if (!req.body.filePackage.match(REGEXP_CHECK_PATH) || path.basename(req.body.filePackage) !== "package.json") {
+                    return res.status(500).end("Forbidden path " + req.body.filePackage)
+                }
+                if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
+                try{
+                    const filesDirectory = getSecurePath(req.query.dir??DEFAULT_DIR, req.params.appName);
+                    const packagePath = resolveAppPath(filesDirectory, req.body.filePackage);
+                    const lockPath = path.join(path.dirname(packagePath), "package-lock.json");
+                    const readIfExists = async (filePath) => {
+                        try{
+                            return await readFile(filePath);
+                        // eslint-disable-next-line no-unused-vars
+                        }catch(err){
+                            return null;
+                        }
+                    };
+                    const previousContents = { [packagePath]: await readIfExists(packagePath), [lockPath]: await readIfExists(lockPath) };
+                    if(!previousContents[packagePath]){
+                        return res.status(404).end("Not found " + req.body.filePackage);
+                    }
+                    // npm rewrites the package.json and the package-lock.json, their new content is not known yet
+                    for(let filePath of [packagePath, lockPath]){
+                        await beforeFileChange({appName: req.params.appName, filePath, relativePath: path.relative(filesDirectory, filePath), 
+                            previousContent: previousContents[filePath]??undefined, changeType: "npm", basePath: filesDirectory});
+                    }
+                    const author = getCommitAuthor(req);
+
+                    const job = npmJobs.start({
+                        appName: req.params.appName,
+                        cwd: path.dirname(packagePath),
+                        action,
+                        packages: req.body.packageName,
+                        onSuccess: async (job)=>{
+                            const changes = [];
+                            for(let filePath of [packagePath, lockPath]){
+                                const newContent = await readIfExists(filePath);
+                                const previousContent = previousContents[filePath];
+                                if(newContent && !(previousContent && previousContent.equals(newContent))){
+                                    changes.push({ filePath, relativePath: path.relative(filesDirectory, filePath), previousContent: previousContent??undefined, newContent });
+                                }
+                            }
+                            if(changes.length > 0 && !await isDraftMode(req.params.appName, req.query.dir??DEFAULT_DIR)){
+                                await withRepoLock(filesDirectory, async () => {
+                                    await commitFiles(filesDirectory, changes.map(c => c.relativePath), 
+                                        { commitMessage: NPM_COMMIT_MESSAGES[action](job.packages), ...author });
+                                });
+                            }
+                            for(let change of changes){
+                                await onFileChange({appName: req.params.appName, basePath: filesDirectory, changeType: "save", ...change});
+                            }
+                            job.result = { packageJson: (await readFile(packagePath)).toString("utf-8") };
+                        }
+                    });
+                    res.status(202).json(npmJobs.toJSON(job));
+                }catch(err){
+                    logger.warn(`Error start npm ${action} ${req.params.appName} %o`, err);
+                    if(err.statusCode){
+                        return res.status(err.statusCode).json({ error: err.message, jobId: err.jobId });
+                    }
+                    res.status(500).json({ error: "Error starting npm" });
+                }
+            })();
+        };
+    }
+
+    router.post('/addPackage/:appName', startNpmJobRoute("add"));
+    router.post('/npmInstall/:appName', startNpmJobRoute("install"));
+    router.post('/removePackage/:appName', startNpmJobRoute("remove"));
+
+    /**
+     * Inspect the dependencies of a package.json of the app (without network access) : dependency tree with the 
+     * locked and installed versions, missing, mismatched and extraneous packages
+     * 
+     * Query : filePackage (path of the package.json)
+     * 
+     * @param {string} appName - Name of the app
+     */
+    router.get('/npm/dependencies/:appName', (req, res) => {
+        (async ()=>{
+            if (!req.query.filePackage) {
+                return res.status(400).end("Missing filePackage")
+            }
+            if (!req.query.filePackage.match(REGEXP_CHECK_PATH) || path.basename(req.query.filePackage) !== "package.json") {
+                return res.status(500).end("Forbidden path " + req.query.filePackage)
+            }
+            if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
+            try{
+                const filesDirectory = getSecurePath(req.query.dir??DEFAULT_DIR, req.params.appName);
+                res.json(await inspectDependencies(path.dirname(resolveAppPath(filesDirectory, req.query.filePackage))));
+            }catch(err){
+                logger.warn(`Error inspect dependencies ${req.query.filePackage} %o`, err);
+                if(err.statusCode){
+                    return res.status(err.statusCode).json({ error: err.message });
+                }
+                res.status(500).json({ error: "Error inspecting dependencies" });
+            }
+        })();
+    });
+
+    /**
+     * List the npm jobs of the app (running and recently finished)
+     * 
+     * @param {string} appName - Name of the app
+     */
+    router.get('/npm/jobs/:appName', (req, res) => {
+        (async ()=>{
+            if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
+            res.json(npmJobs.listJobs(req.params.appName).map(job => npmJobs.toJSON(job)));
+        })();
+    });
+
+    /**
+     * Get an npm job with its output
+     * 
+     * @param {string} appName - Name of the app
+     * @param {string} jobId - Id of the job
+     */
+    router.get('/npm/job/:appName/:jobId', (req, res) => {
+        (async ()=>{
+            if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
+            const job = npmJobs.getJob(req.params.appName, req.params.jobId);
+            if(!job){
+                return res.status(404).end("Unknown job " + req.params.jobId);
+            }
+            res.json(npmJobs.toJSON(job, { withOutput: true }));
+        })();
+    });
+
+    /**
+     * Follow the output of an npm job (Server-Sent Events)
+     * 
+     * Events : output (data: {stream, text}), end (data: the job)
+     * 
+     * @param {string} appName - Name of the app
+     * @param {string} jobId - Id of the job
+     */
+    router.get('/npm/job/events/:appName/:jobId', (req, res) => {
+        (async ()=>{
+            if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
+            const job = npmJobs.getJob(req.params.appName, req.params.jobId);
+            if(!job){
+                return res.status(404).end("Unknown job " + req.params.jobId);
+            }
+            npmJobs.stream(job, req, res);
+        })();
+    });
+
+    /**
+     * Cancel a running npm job
+     * 
+     * @param {string} appName - Name of the app
+     * @param {string} jobId - Id of the job
+     */
+    router.post('/npm/job/cancel/:appName/:jobId', (req, res) => {
+        (async ()=>{
+            if(!await graphql.checkAppAccessMiddleware(req, res)){ return ;}
+            const job = npmJobs.getJob(req.params.appName, req.params.jobId);
+            if(!job){
+                return res.status(404).end("Unknown job " + req.params.jobId);
+            }
+            if(!npmJobs.cancel(job)){
+                return res.status(409).json({ error: `The job is already ${job.status}` });
+            }
+            res.json({ success: true });
         })();
     });
 }
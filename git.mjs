@@ -1,39 +1,214 @@
 import fs from "fs-extra" ;
 import path from "path" ;
+import os from "os" ;
+import crypto from "crypto" ;
+import { promisify } from "util" ;
+import { execFile, spawn } from "child_process" ;
+import { AsyncLocalStorage } from "async_hooks" ;
 import simpleGit from "simple-git" ;
 
+const execFileAsync = promisify(execFile);
+
+const BRANCH_NAME_REGEXP = /^[a-zA-Z0-9-]+$/;
+// hash of the empty tree, compared to the worktree when there is no commit yet
+const EMPTY_TREE_HASH = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+
+// maximum time (ms) to wait for the other operations on the same repository
+const REPO_LOCK_TIMEOUT = Number(process.env.GIT_LOCK_TIMEOUT) || 30000;
+// an index.lock older than this (ms) has been left by a crashed git process
+const STALE_INDEX_LOCK_AGE = 60000;
+
+// repository key -> promise resolved when the last queued operation is done
+const repoLocks = new Map();
+// {keys, deferred} keys of the repositories locked by the current async call chain (a locked operation can call other locked
+// operations) and the functions to run once they are released
+const heldRepoLocks = new AsyncLocalStorage();
+
+/**
+ * Find the git directories of a worktree
+ * @param {string} repoPath - Path of the worktree (public or branch directory)
+ * @returns {Promise<Object>} - {key, gitDir} key is the common git directory shared by all the worktrees of the repository
+ * (or repoPath when it is not a git repository yet), gitDir is the git directory of this worktree (containing its index)
+ */
+async function getRepoDirs(repoPath) {
+    const dotGit = path.join(repoPath, '.git');
+    try {
+        if ((await fs.stat(dotGit)).isDirectory()) {
+            return { key: dotGit, gitDir: dotGit };
+        }
+        // linked worktree, .git is a file containing "gitdir: <main repository>/.git/worktrees/<name>"
+        const gitDir = path.resolve(repoPath, (await fs.readFile(dotGit, 'utf-8')).replace(/^gitdir:/, '').trim());
+        const commonDir = (await fs.readFile(path.join(gitDir, 'commondir'), 'utf-8')).trim();
+        return { key: path.resolve(gitDir, commonDir), gitDir };
+    // eslint-disable-next-line no-unused-vars
+    } catch (error) {
+        return { key: path.resolve(repoPath), gitDir: null };
+    }
+}
+
+/**
+ * Remove the index.lock left by a git process that crashed (no git process of the server runs while the repository is locked)
+ * @param {string} gitDir - Git directory of the worktree
+ */
+async function removeStaleIndexLock(gitDir) {
+    const indexLock = path.join(gitDir, 'index.lock');
+    try {
+        const lockStat = await fs.stat(indexLock);
+        if (Date.now() - lockStat.mtimeMs > STALE_INDEX_LOCK_AGE) {
+            console.warn(`Remove stale git lock ${indexLock}`);
+            await fs.remove(indexLock);
+        }
+    // eslint-disable-next-line no-unused-vars
+    } catch (error) {
+        // no lock
+    }
+}
+
+/**
+ * Run a function while no other operation runs on the same git repository
+ *
+ * The operations are queued for each repository (all the worktrees of a repository share the same queue).
+ * The function can itself call locked operations on the same repository
+ *
+ * @param {string} repoPath - Path to the git repository (or one of its worktrees)
+ * @param {function} fn - Async function to run
+ * @param {Object} [options] - Options
+ * @param {number} [options.timeout] - Maximum time (ms) to wait for the previous operations (GIT_LOCK_TIMEOUT env, 30s by default)
+ * @returns {Promise<*>} - The result of fn
+ * @throws {Error} If the repository stays busy longer than the timeout (statusCode 503)
+ */
+export async function withRepoLock(repoPath, fn, { timeout = REPO_LOCK_TIMEOUT } = {}) {
+    const { key, gitDir } = await getRepoDirs(repoPath);
+    const held = heldRepoLocks.getStore();
+    if (held?.keys.has(key)) {
+        return fn();
+    }
+    // the functions given to afterRepoLock run when the first lock of the call chain is released
+    const deferred = held?.deferred ?? [];
+
+    const previous = repoLocks.get(key) ?? Promise.resolve();
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    const queued = previous.then(() => current);
+    repoLocks.set(key, queued);
+
+    let timer;
+    const acquired = await Promise.race([
+        previous.then(() => true),
+        new Promise(resolve => { timer = setTimeout(() => resolve(false), timeout); })
+    ]);
+    clearTimeout(timer);
+    try {
+        if (!acquired) {
+            const error = new Error("The git repository is busy with another operation, try again later");
+            error.statusCode = 503;
+            throw error;
+        }
+        if (gitDir) {
+            await removeStaleIndexLock(gitDir);
+        }
+        return await heldRepoLocks.run({ keys: new Set([...(held?.keys ?? []), key]), deferred }, fn);
+    } finally {
+        // the next operations wait for the previous ones, even if this one gave up
+        release();
+        if (repoLocks.get(key) === queued) {
+            repoLocks.delete(key);
+        }
+        if (!held) {
+            for (const deferredFn of deferred) {
+                try {
+                    await deferredFn();
+                } catch (error) {
+                    console.warn("Error after the release of the git lock", error);
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Run a function once the repository locks held by the current async call chain are released, or now if no lock is held
+ * (used to notify the other plugins, which may themselves run git operations on the repository)
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<void>}
+ */
+export async function afterRepoLock(fn) {
+    const held = heldRepoLocks.getStore();
+    if (held) {
+        held.deferred.push(fn);
+        return;
+    }
+    await fn();
+}
+
+/**
+ * Run a function outside the repository locks held by the current async call chain
+ * (used for the code of other plugins, which could keep running after a timeout and must not reenter the locks of a finished operation)
+ * @param {Function} fn - Function to run
+ * @returns {*} - The result of the function
+ */
+export function runOutsideRepoLock(fn) {
+    return heldRepoLocks.exit(fn);
+}
+
 /**
  * Initialize a git repository in the specified directory if it doesn't exist
  * @param {string} directoryPath - Path to the directory
  * @returns {Promise<SimpleGit>} - The git instance
  */
 export async function initGitIfNotExists(directoryPath) {
-    try {
-        // Create directory if it doesn't exist
+    return withRepoLock(directoryPath, async () => {
         try {
-            await fs.stat(directoryPath);
-        // eslint-disable-next-line no-unused-vars
-        } catch (error) {
-            await fs.mkdir(directoryPath, { recursive: true });
-        }
+            // Create directory if it doesn't exist
+            try {
+                await fs.stat(directoryPath);
+            // eslint-disable-next-line no-unused-vars
+            } catch (error) {
+                await fs.mkdir(directoryPath, { recursive: true });
+            }
 
-        const git = simpleGit(directoryPath);
+            const git = simpleGit(directoryPath);
         
-        // Check if git repo already exists
-        const isRepo = await git.checkIsRepo();
+            // Check if git repo already exists
+            const isRepo = await git.checkIsRepo();
         
-        if (!isRepo) {
-            await git.init();
-            console.log('Initialized new Git repository');
-        } else {
-            console.log('Git repository already exists');
-        }
+            if (!isRepo) {
+                await git.init();
+                console.log('Initialized new Git repository');
+            } else {
+                console.log('Git repository already exists');
+            }
         
-        return git;
-    } catch (error) {
-        console.error('Error initializing git repository:', error);
-        throw error;
+            return git;
+        } catch (error) {
+            console.error('Error initializing git repository:', error);
+            throw error;
+        }
+    });
+}
+
+/**
+ * Identity used for the commits of an app when no user is known (SSH edits...)
+ * @param {string} appName - Name of the app
+ * @returns {Object} - {authorName, authorEmail}
+ */
+export function getAppCommitAuthor(appName) {
+    return { authorName: appName, authorEmail: `${appName}@${process.env.HOST_DOMAIN || 'localhost'}` };
+}
+
+/**
+ * Get a git instance committing with the given identity (author and committer)
+ * @param {string} repoPath - Path to the git repository
+ * @param {Object} [author] - Identity, the git configuration of the server is used if not set
+ * @param {string} [author.authorName] - Author name
+ * @param {string} [author.authorEmail] - Author email
+ * @returns {SimpleGit} - The git instance
+ */
+function gitWithAuthor(repoPath, { authorName, authorEmail } = {}) {
+    if (!authorName || !authorEmail) {
+        return simpleGit(repoPath);
     }
+    return simpleGit(repoPath, { config: [`user.name=${authorName}`, `user.email=${authorEmail}`] });
 }
 
 /**
@@ -45,135 +220,198 @@ export async function initGitIfNotExists(directoryPath) {
  * @param {string} options.authorEmail - Author email
  * @returns {Promise<void>}
  */
-export async function commitAllChanges(repoPath, {commitMessage = 'Auto commit'} = {}) {
-    try {
-        await initGitIfNotExists(repoPath);
+export async function commitAllChanges(repoPath, {commitMessage = 'Auto commit', authorName, authorEmail} = {}) {
+    return withRepoLock(repoPath, async () => {
+        try {
+            await initGitIfNotExists(repoPath);
 
-        const git = simpleGit(repoPath);
+            const git = gitWithAuthor(repoPath, { authorName, authorEmail });
+
+            const operation = await getOperationInProgress(repoPath);
+            if (operation) {
+                // files are committed when the operation is completed, adding them now would mark the conflicts as resolved
+                console.log(`A ${operation} is in progress, commit postponed`);
+                return;
+            }
         
-        // Add all files
-        await git.add('.');
+            // Add all files
+            await git.add('.');
         
-        // Check if there are changes to commit
-        const status = await git.status();
+            // Check if there are changes to commit
+            const status = await git.status();
         
-        if (status.files.length > 0) {
-            // Perform the commit
-            const commitResult = await git.commit(commitMessage)//, ["-c", "user.name=" + authorName, "-c", "user.email=" + authorEmail]);
-            console.log('Changes committed successfully:', commitResult);
-        } else {
-            console.log('No changes to commit');
+            if (status.files.length > 0) {
+                // Perform the commit
+                const commitResult = await git.commit(commitMessage);
+                console.log('Changes committed successfully:', commitResult);
+            } else {
+                console.log('No changes to commit');
+            }
+        } catch (error) {
+            console.error('Error committing changes:', error);
+            throw error;
         }
-    } catch (error) {
-        console.error('Error committing changes:', error);
-        throw error;
+    });
+}
+
+/**
+ * Build the git log / rev-list arguments filtering the history
+ * @param {Object} [filters] - History filters
+ * @param {string} [filters.path] - Only commits modifying this file or a file under this directory
+ * @param {string} [filters.author] - Only commits whose author name or email contains this text
+ * @param {string} [filters.since] - Only commits more recent than this date
+ * @param {string} [filters.until] - Only commits older than this date
+ * @param {string} [filters.message] - Only commits whose message contains this text
+ * @returns {Object} - {args, pathspec} to give to git
+ */
+function getHistoryFilterArgs({ path: filterPath, author, since, until, message } = {}) {
+    const args = [];
+    if (author) {
+        args.push(`--author=${author}`);
+    }
+    if (message) {
+        args.push(`--grep=${message}`);
+    }
+    if (author || message) {
+        // search text as is, ignoring case
+        args.push('--fixed-strings', '--regexp-ignore-case');
+    }
+    if (since) {
+        args.push(`--since=${since}`);
     }
+    if (until) {
+        args.push(`--until=${until}`);
+    }
+    return { args, pathspec: filterPath ? ['--', filterPath] : [] };
 }
 
 /**
  * List git commits as JSON with pagination options
  * @param {string} repoPath - Path to the git repository
- * @param {Object} [options] - Pagination options
+ * @param {Object} [options] - Pagination and filter options (see getHistoryFilterArgs for the filters)
  * @param {number} [options.offset=0] - Number of commits to skip
  * @param {number} [options.limit=10] - Maximum number of commits to return
- * @returns {Promise<Array>} - Array of commit objects
+ * @returns {Promise<Array>} - Array of commit objects with their stats {files, insertions, deletions}
  */
 export async function listCommitsAsJson(repoPath, options = {}) {
-    try {
-        await initGitIfNotExists(repoPath);
+    return withRepoLock(repoPath, async () => {
+        try {
+            await initGitIfNotExists(repoPath);
 
-        const git = simpleGit(repoPath);
+            const git = simpleGit(repoPath);
         
-        // Set default values for options
-        const { offset = 0, limit = 10 } = options;
+            // Set default values for options
+            const { offset = 0, limit = 10 } = options;
+            const { args: filterArgs, pathspec } = getHistoryFilterArgs(options);
         
-        // Get log with specific format and pagination
-        let gitOptions = {
-            format: {
-                hash: '%H',
-                date: '%ai',
-                message: '%s',
-                author_name: '%an',
-                author_email: '%ae'
-            },
-            n: limit
-        };
-        if(offset && Number(offset)){
-            gitOptions["--skip"] = Number(offset);
-        }
-        const logs = await git.log(gitOptions);
+            // Get log with specific format, stats and pagination
+            const args = [
+                'log', '--shortstat',
+                '--format=%x1e%H%x1f%ai%x1f%s%x1f%an%x1f%ae',
+                '-n', String(Number(limit) || 10),
+                ...filterArgs
+            ];
+            if(offset && Number(offset)){
+                args.push(`--skip=${Number(offset)}`);
+            }
+            args.push(...pathspec);
+            const output = await git.raw(args);
 
-        return logs.all;
-    } catch (error) {
-        console.error('Error listing commits:', error);
-        throw error;
-    }
+            return output.split('\x1e').filter(entry => entry.trim()).map(entry => {
+                const [header, ...statLines] = entry.split('\n');
+                const [hash, date, message, author_name, author_email] = header.split('\x1f');
+                // shortstat line : " 2 files changed, 3 insertions(+), 1 deletion(-)" (absent for merge commits)
+                const statLine = statLines.join(' ');
+                const readStat = (regexp) => parseInt(statLine.match(regexp)?.[1] ?? '0', 10);
+                return {
+                    hash, date, message, author_name, author_email,
+                    stats: {
+                        files: readStat(/(\d+) files? changed/),
+                        insertions: readStat(/(\d+) insertions?\(\+\)/),
+                        deletions: readStat(/(\d+) deletions?\(-\)/)
+                    }
+                };
+            });
+        } catch (error) {
+            console.error('Error listing commits:', error);
+            throw error;
+        }
+    });
 }
 
 /**
  * Get the total number of commits in the repository
  * @param {string} repoPath - Path to the git repository
+ * @param {Object} [filters] - History filters (see getHistoryFilterArgs)
  * @returns {Promise<number>} - Total number of commits
  */
-export async function getCommitCount(repoPath) {
-    try {
-        await initGitIfNotExists(repoPath);
-        const git = simpleGit(repoPath);
+export async function getCommitCount(repoPath, filters = {}) {
+    return withRepoLock(repoPath, async () => {
+        try {
+            await initGitIfNotExists(repoPath);
+            const git = simpleGit(repoPath);
+            const { args: filterArgs, pathspec } = getHistoryFilterArgs(filters);
         
-        // Get log count using rev-list
-        const count = await git.raw(['rev-list', '--count', 'HEAD']);
+            // Get log count using rev-list
+            const count = await git.raw(['rev-list', '--count', ...filterArgs, 'HEAD', ...pathspec]);
         
-        // Parse the string result to number
-        return parseInt(count.trim(), 10);
-    } catch (error) {
-        console.error('Error counting commits:', error);
-        throw error;
-    }
+            // Parse the string result to number
+            return parseInt(count.trim(), 10);
+        } catch (error) {
+            console.error('Error counting commits:', error);
+            throw error;
+        }
+    });
 }
 
 /**
- * Get the list of modified files for a specific commit
+ * Get the author and the list of modified files for a specific commit
  * @param {string} repoPath - Path to the git repository
  * @param {string} commitHash - Hash of the commit to analyze
- * @returns {Promise<Array>} - Array of objects containing file paths and their modification types
+ * @returns {Promise<Object>} - {hash, date, message, author_name, author_email, files} files contains the file paths and their modification types
  */
 export async function getCommitInfo(repoPath, commitHash) {
-    try {
-        const git = simpleGit(repoPath);
+    return withRepoLock(repoPath, async () => {
+        try {
+            const git = simpleGit(repoPath);
+
+            const header = await git.raw(['show', '-s', '--format=%H%x1f%ai%x1f%s%x1f%an%x1f%ae', commitHash]);
+            const [hash, date, message, author_name, author_email] = header.trim().split('\x1f');
         
-        // Get the diff of the commit compared to its parent
-        const diff = await git.raw([
-            'diff-tree',
-            '--no-commit-id',
-            '--name-status',
-            '-r',
-            commitHash
-        ]);
-
-        // Parse the diff output
-        const files = diff.trim().split('\n').map(line => {
-            const [status, ...filePath] = line.split('\t');
+            // Get the diff of the commit compared to its parent
+            const diff = await git.raw([
+                'diff-tree',
+                '--no-commit-id',
+                '--name-status',
+                '-r',
+                commitHash
+            ]);
+
+            // Parse the diff output
+            const files = diff.trim().split('\n').map(line => {
+                const [status, ...filePath] = line.split('\t');
             
-            // Map git status to more readable descriptions
-            const statusMap = {
-                'A': 'added',
-                'M': 'modified',
-                'D': 'deleted',
-                'R': 'renamed',
-                'C': 'copied'
-            };
+                // Map git status to more readable descriptions
+                const statusMap = {
+                    'A': 'added',
+                    'M': 'modified',
+                    'D': 'deleted',
+                    'R': 'renamed',
+                    'C': 'copied'
+                };
 
-            return {
-                path: filePath.join('\t'), // Rejoin path in case it contained tabs
-                type: statusMap[status[0]] || 'unknown'
-            };
-        });
+                return {
+                    path: filePath.join('\t'), // Rejoin path in case it contained tabs
+                    type: statusMap[status[0]] || 'unknown'
+                };
+            });
 
-        return {files};
-    } catch (error) {
-        console.error('Error getting commit files:', error);
-        throw error;
-    }
+            return {hash, date, message, author_name, author_email, files};
+        } catch (error) {
+            console.error('Error getting commit files:', error);
+            throw error;
+        }
+    });
 }
 
 /**
@@ -184,140 +422,1220 @@ export async function getCommitInfo(repoPath, commitHash) {
  * @returns {Promise<Object>} - Object containing the file content before and after the commit
  */
 export async function getFileContentDiff(repoPath, commitHash, filePath) {
-    try {
-        const git = simpleGit(repoPath);
+    return withRepoLock(repoPath, async () => {
+        try {
+            const git = simpleGit(repoPath);
         
-        // Get the parent commit hash
-        const parentHash = await git.raw(['rev-parse', `${commitHash}^`]);
+            // Get the parent commit hash
+            const parentHash = await git.raw(['rev-parse', `${commitHash}^`]);
         
-        let beforeContent = '';
-        let afterContent = '';
+            let beforeContent = '';
+            let afterContent = '';
+
+            try {
+                // Get content before commit (from parent)
+                beforeContent = await git.show([`${parentHash.trim()}:${filePath}`]);
+            // eslint-disable-next-line no-unused-vars
+            } catch (error) {
+                // File might not exist before the commit
+                beforeContent = '';
+            }
+
+            try {
+                // Get content after commit
+                afterContent = await git.show([`${commitHash}:${filePath}`]);
+            // eslint-disable-next-line no-unused-vars
+            } catch (error) {
+                // File might have been deleted in the commit
+                afterContent = '';
+            }
 
+            return {
+                before: beforeContent,
+                after: afterContent,
+                wasDeleted: afterContent === '',
+                wasCreated: beforeContent === ''
+            };
+        } catch (error) {
+            console.error('Error getting file content diff:', error);
+            throw error;
+        }
+    });
+}
+
+/**
+ * Get the content of a file before a specific commit and at HEAD
+ * @param {string} repoPath - Path to the git repository
+ * @param {string} commitHash - Hash of the commit to analyze
+ * @param {string} filePath - Path of the file to analyze
+ * @returns {Promise<Object>} - Object containing the file content before the commit and at HEAD
+ */
+export async function getFileContentDiffWithHead(repoPath, commitHash, filePath) {
+    return withRepoLock(repoPath, async () => {
         try {
-            // Get content before commit (from parent)
-            beforeContent = await git.show([`${parentHash.trim()}:${filePath}`]);
-        // eslint-disable-next-line no-unused-vars
+            const git = simpleGit(repoPath);
+        
+            let beforeContent = '';
+            let afterContent = '';
+
+            try {
+                // Get content before the commit
+                beforeContent = await git.show([`${commitHash}:${filePath}`]);
+            // eslint-disable-next-line no-unused-vars
+            } catch (error) {
+                // File might not exist before the commit
+                beforeContent = '';
+            }
+
+            try {
+                // Get content at HEAD
+                afterContent = await git.show([`HEAD:${filePath}`]);
+            // eslint-disable-next-line no-unused-vars
+            } catch (error) {
+                // File might not exist at HEAD
+                afterContent = '';
+            }
+
+            return {
+                before: beforeContent,
+                after: afterContent,
+                wasDeleted: afterContent === '',
+                wasCreated: beforeContent === ''
+            };
+        } catch (error) {
+            console.error('Error getting file content diff:', error);
+            throw error;
+        }
+    });
+}
+
+/**
+ * Creates a new branch with a worktree in the branches directory
+ * @param {string} repoPath - Path to the main git repository (e.g., '/public')
+ * @param {string} newBranchName - Name of the new branch to create
+ * @param {string} branchesPath - Path to the branches directory (e.g., '/branches')
+ * @param {string} sourceBranch - Source branch to create from (e.g., 'main' or 'feature-one')
+ * @returns {Promise<void>}
+ * @throws {Error} If branch creation fails or paths are invalid
+ */
+export async function createBranchWithWorktree(repoPath, newBranchName, branchesPath, sourceBranch) {
+    return withRepoLock(repoPath, async () => {
+        try {
+            await initGitIfNotExists(repoPath);
+            // Initialize git in the main repository
+            const git = simpleGit(repoPath);
+
+            //check branch name is valid
+            if (!newBranchName.match(BRANCH_NAME_REGEXP)) {
+                throw new Error('Invalid branch name');
+            }
+
+            // Calculate the target path for the new branch
+            const targetPath = path.join(branchesPath, newBranchName);
+
+            // Check if target directory already exists
+            try {
+                await fs.stat(targetPath);
+                throw new Error(`Directory already exists: ${targetPath}`);
+            // eslint-disable-next-line no-unused-vars
+            } catch (error) {
+                //ok does not exist
+            }
+
+            // Get the relative path from public to branches directory
+            const relativeTargetPath = path.relative(repoPath, targetPath);
+
+            // Create new worktree with branch
+            let args = [
+                'worktree',
+                'add',
+                '-b',
+                newBranchName,
+                relativeTargetPath        ];
+            if(sourceBranch && sourceBranch !== 'public'){
+                args.push(sourceBranch);
+            }
+            await git.raw(args);
+
+            console.log(`Successfully created branch '${newBranchName}' from '${sourceBranch}'`);
+            console.log(`Worktree location: ${targetPath}`);
+
         } catch (error) {
-            // File might not exist before the commit
-            beforeContent = '';
+            throw new Error(`Failed to create branch: ${error.message}`);
         }
+    });
+}
+
 
+/**
+ * Move or rename a file or a directory, recording it as a rename in the index
+ * @param {string} repoPath - Path to the git repository
+ * @param {string} oldPath - Current path of the file or directory, relative to the repository
+ * @param {string} newPath - New path of the file or directory, relative to the repository
+ * @returns {Promise<void>}
+ */
+export async function moveWithHistory(repoPath, oldPath, newPath) {
+    return withRepoLock(repoPath, async () => {
         try {
-            // Get content after commit
-            afterContent = await git.show([`${commitHash}:${filePath}`]);
-        // eslint-disable-next-line no-unused-vars
+            await initGitIfNotExists(repoPath);
+            const git = simpleGit(repoPath);
+
+            // Ensure the target parent directory exists
+            await fs.mkdirs(path.dirname(path.join(repoPath, newPath)));
+
+            // git mv only works on tracked content, fallback to a plain move for new files or empty directories
+            const tracked = await git.raw(['ls-files', '--', oldPath]);
+            if (tracked.trim()) {
+                await git.raw(['mv', '--', oldPath, newPath]);
+            } else {
+                await fs.move(path.join(repoPath, oldPath), path.join(repoPath, newPath));
+            }
         } catch (error) {
-            // File might have been deleted in the commit
-            afterContent = '';
+            console.error('Error moving file:', error);
+            throw error;
         }
+    });
+}
 
-        return {
-            before: beforeContent,
-            after: afterContent,
-            wasDeleted: afterContent === '',
-            wasCreated: beforeContent === ''
-        };
-    } catch (error) {
-        console.error('Error getting file content diff:', error);
-        throw error;
+
+/**
+ * Compute the git blob hash of a content (same value as git hash-object)
+ * @param {Buffer|string} content - Content of the file
+ * @returns {string} - The blob hash
+ */
+export function getBlobHash(content) {
+    const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content);
+    return crypto.createHash('sha1')
+        .update(`blob ${buffer.length}\0`)
+        .update(buffer)
+        .digest('hex');
+}
+
+/**
+ * Store a content in the objects of the repository so its blob hash can be used later as the base of a merge,
+ * even when the content is never committed (draft mode, SSH modification not committed yet)
+ * @param {string} repoPath - Path to the git repository
+ * @param {Buffer|string} content - Content of the file
+ * @returns {Promise<string>} - The blob hash (same as getBlobHash)
+ */
+export async function storeBlob(repoPath, content) {
+    if (!await fs.pathExists(path.join(repoPath, '.git'))) {
+        // no commit done yet (draft mode), git would look for a repository in the parent directories
+        await initGitIfNotExists(repoPath);
     }
+    return new Promise((resolve, reject) => {
+        const child = spawn('git', ['hash-object', '-w', '--stdin'], { cwd: repoPath });
+        let stdout = '';
+        let stderr = '';
+        child.stdout.on('data', data => stdout += data);
+        child.stderr.on('data', data => stderr += data);
+        child.on('error', reject);
+        child.on('close', code => {
+            if (code !== 0) {
+                return reject(new Error(`git hash-object failed: ${stderr}`));
+            }
+            resolve(stdout.trim());
+        });
+        child.stdin.end(content);
+    });
 }
 
 /**
- * Get the content of a file before a specific commit and at HEAD
+ * Get the content of the version of a file on which a client based its modifications
  * @param {string} repoPath - Path to the git repository
- * @param {string} commitHash - Hash of the commit to analyze
- * @param {string} filePath - Path of the file to analyze
- * @returns {Promise<Object>} - Object containing the file content before the commit and at HEAD
+ * @param {string} filePath - Path of the file, relative to the repository
+ * @param {Object} base - Version known by the client, the first given option is used
+ * @param {string} [base.hash] - Blob hash of the content (see getBlobHash and storeBlob)
+ * @param {string} [base.commit] - Hash of a commit containing the version
+ * @returns {Promise<string|null>} - The content or null if the version is not found in the repository
  */
-export async function getFileContentDiffWithHead(repoPath, commitHash, filePath) {
+export async function getBaseContent(repoPath, filePath, { hash, commit } = {}) {
+    const git = simpleGit(repoPath);
     try {
-        const git = simpleGit(repoPath);
-        
-        let beforeContent = '';
-        let afterContent = '';
+        if (hash) {
+            return await git.raw(['cat-file', 'blob', hash]);
+        }
+        if (commit) {
+            return await git.show([`${commit}:${filePath}`]);
+        }
+    // eslint-disable-next-line no-unused-vars
+    } catch (error) {
+        // version not available in the repository
+    }
+    return null;
+}
+
+/**
+ * Three-way merge of text contents (through git merge-file)
+ * @param {Object} contents - Contents to merge
+ * @param {string} contents.ours - Current content
+ * @param {string} contents.base - Common ancestor content
+ * @param {string} contents.theirs - Incoming content
+ * @param {Object} [labels] - Labels used in the conflict markers
+ * @returns {Promise<Object>} - {content, clean, conflicts} where conflicts is the number of conflicting hunks
+ */
+export async function mergeFileContents({ ours, base, theirs }, { oursLabel = 'current', baseLabel = 'base', theirsLabel = 'incoming' } = {}) {
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'code-editor-merge-'));
+    try {
+        const oursPath = path.join(tmpDir, 'ours');
+        const basePath = path.join(tmpDir, 'base');
+        const theirsPath = path.join(tmpDir, 'theirs');
+        await fs.writeFile(oursPath, ours);
+        await fs.writeFile(basePath, base);
+        await fs.writeFile(theirsPath, theirs);
 
+        const args = ['merge-file', '-p', '-L', oursLabel, '-L', baseLabel, '-L', theirsLabel, oursPath, basePath, theirsPath];
         try {
-            // Get content before the commit
-            beforeContent = await git.show([`${commitHash}:${filePath}`]);
-        // eslint-disable-next-line no-unused-vars
+            const { stdout } = await execFileAsync('git', args, { maxBuffer: 100 * 1024 * 1024 });
+            return { content: stdout, clean: true, conflicts: 0 };
         } catch (error) {
-            // File might not exist before the commit
-            beforeContent = '';
+            // a positive exit code is the number of conflicts
+            if (error.code > 0 && typeof error.stdout === 'string') {
+                return { content: error.stdout, clean: false, conflicts: error.code };
+            }
+            throw error;
         }
+    } finally {
+        await fs.remove(tmpDir);
+    }
+}
 
+/**
+ * Get the name of the branch checked out in a worktree
+ * @param {string} worktreePath - Path to the worktree (the main repository or a branch worktree)
+ * @returns {Promise<string>} - The branch name
+ */
+export async function getWorktreeBranch(worktreePath) {
+    const git = simpleGit(worktreePath);
+    const branch = await git.raw(['rev-parse', '--abbrev-ref', 'HEAD']);
+    return branch.trim();
+}
+
+/**
+ * Get the hash of the current commit
+ * @param {string} repoPath - Path to the git repository
+ * @returns {Promise<string|null>} - The commit hash or null if there is no commit yet
+ */
+export async function getHeadHash(repoPath) {
+    const git = simpleGit(repoPath);
+    try {
+        return (await git.raw(['rev-parse', '--verify', '-q', 'HEAD'])).trim() || null;
+    // eslint-disable-next-line no-unused-vars
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Get the git operation waiting for conflicts resolution in the worktree
+ * @param {string} repoPath - Path to the git repository
+ * @returns {Promise<string|null>} - "merge", "revert" or null if no operation is in progress
+ */
+export async function getOperationInProgress(repoPath) {
+    const git = simpleGit(repoPath);
+    const operationHeads = { merge: 'MERGE_HEAD', revert: 'REVERT_HEAD' };
+    for (const [operation, head] of Object.entries(operationHeads)) {
         try {
-            // Get content at HEAD
-            afterContent = await git.show([`HEAD:${filePath}`]);
+            const hash = await git.raw(['rev-parse', '-q', '--verify', head]);
+            if (hash.trim()) {
+                return operation;
+            }
         // eslint-disable-next-line no-unused-vars
         } catch (error) {
-            // File might not exist at HEAD
-            afterContent = '';
+            // this operation is not in progress
         }
+    }
+    return null;
+}
 
-        return {
-            before: beforeContent,
-            after: afterContent,
-            wasDeleted: afterContent === '',
-            wasCreated: beforeContent === ''
-        };
+/**
+ * Get the content of a file at a given commit
+ * @param {string} repoPath - Path to the git repository
+ * @param {string} ref - Commit hash or reference (":1", ":2", ":3" for the conflict stages)
+ * @param {string} filePath - Path of the file, relative to the repository
+ * @returns {Promise<Buffer|null>} - The content or null if the file does not exist at this commit
+ */
+export async function getFileContentAt(repoPath, ref, filePath) {
+    const git = simpleGit(repoPath);
+    try {
+        return await git.showBuffer([`${ref}:${filePath}`]);
+    // eslint-disable-next-line no-unused-vars
     } catch (error) {
-        console.error('Error getting file content diff:', error);
+        return null;
+    }
+}
+
+/**
+ * Get the list of files changed between two commits
+ * @param {string} repoPath - Path to the git repository
+ * @param {string} fromRef - Start commit
+ * @param {string} toRef - End commit
+ * @returns {Promise<Array>} - Array of {path, previousPath, type} where type is added, modified, deleted or renamed
+ */
+export async function getChangedFiles(repoPath, fromRef, toRef) {
+    const git = simpleGit(repoPath);
+    return parseNameStatus(await git.raw(['diff', '--name-status', '-M', '-z', fromRef, toRef]));
+}
+
+/**
+ * Parse the output of git diff --name-status -z
+ */
+function parseNameStatus(diff) {
+    const statusMap = {
+        'A': 'added',
+        'M': 'modified',
+        'D': 'deleted',
+        'R': 'renamed',
+        'C': 'added',
+        'T': 'modified'
+    };
+    const parts = diff.split('\0');
+    const files = [];
+    for (let i = 0; i < parts.length - 1;) {
+        const status = parts[i++];
+        if (status[0] === 'R' || status[0] === 'C') {
+            const previousPath = parts[i++];
+            const filePath = parts[i++];
+            files.push({ path: filePath, previousPath: status[0] === 'R' ? previousPath : undefined, type: statusMap[status[0]] });
+        } else {
+            files.push({ path: parts[i++], type: statusMap[status[0]] || 'unknown' });
+        }
+    }
+    return files;
+}
+
+/**
+ * Let a callback check the changes staged by an operation (compared with HEAD) before they are committed
+ * @param {string} repoPath - Path to the git repository
+ * @param {Function} checkChanges - async (changes) => replacements, changes is an array of
+ * {path, previousPath, type, previousContent, newContent}, replacements is path -> content to commit instead (or nothing)
+ * @throws {Error} The error of the callback to refuse the changes
+ */
+async function checkStagedChanges(repoPath, checkChanges) {
+    const git = simpleGit(repoPath);
+    const changes = parseNameStatus(await git.raw(['diff', '--cached', '--name-status', '-M', '-z', 'HEAD']));
+    for (const change of changes) {
+        change.previousContent = await getFileContentAt(repoPath, 'HEAD', change.previousPath ?? change.path);
+        // ":path" is the staged content
+        change.newContent = await getFileContentAt(repoPath, '', change.path);
+    }
+    const replacements = await checkChanges(changes) ?? {};
+    for (const [filePath, content] of Object.entries(replacements)) {
+        await fs.writeFile(path.join(repoPath, filePath), content);
+        await git.raw(['add', '--', filePath]);
+    }
+}
+
+/**
+ * Check the changes of an operation stopped before its commit (--no-commit) then commit them
+ * @param {SimpleGit} git - Git instance (with the author of the commit)
+ * @param {string} repoPath - Path to the git repository
+ * @param {string} operation - merge or revert, aborted if the changes are refused
+ * @param {Function} checkChanges - See checkStagedChanges
+ */
+async function commitCheckedOperation(git, repoPath, operation, checkChanges) {
+    try {
+        await checkStagedChanges(repoPath, checkChanges);
+    } catch (error) {
+        await git.raw([operation, '--abort']);
         throw error;
     }
+    // keep the prepared commit message without opening an editor
+    await git.raw(['-c', 'core.editor=true', 'commit', '--no-edit']);
 }
 
 /**
- * Creates a new branch with a worktree in the branches directory
+ * Get the conflicted files of the operation in progress, with the content of each side
+ * @param {string} repoPath - Path to the git repository
+ * @returns {Promise<Array>} - Array of {path, base, ours, theirs}, a side is null if the file does not exist on it
+ */
+export async function getConflicts(repoPath) {
+    return withRepoLock(repoPath, async () => {
+        const git = simpleGit(repoPath);
+        const unmerged = await git.raw(['diff', '--name-only', '-z', '--diff-filter=U']);
+        const conflictedPaths = [...new Set(unmerged.split('\0').filter(p => p))];
+        const conflicts = [];
+        for (const filePath of conflictedPaths) {
+            const [base, ours, theirs] = await Promise.all([1, 2, 3].map(stage => getFileContentAt(repoPath, `:${stage}`, filePath)));
+            conflicts.push({
+                path: filePath,
+                base: base?.toString('utf-8') ?? null,
+                ours: ours?.toString('utf-8') ?? null,
+                theirs: theirs?.toString('utf-8') ?? null
+            });
+        }
+        return conflicts;
+    });
+}
+
+/**
+ * Merge a branch in the branch checked out in a worktree
+ * @param {string} repoPath - Path to the worktree receiving the merge
+ * @param {string} sourceBranch - Name of the branch to merge
+ * @param {Object} options - Options for the merge
+ * @param {string} options.commitMessage - Message of the merge commit
+ * @param {string} [options.authorName] - Author name
+ * @param {string} [options.authorEmail] - Author email
+ * @param {Function} [options.checkChanges] - Called with the merged changes before the commit, see checkStagedChanges
+ * (the merge is aborted if it throws)
+ * @returns {Promise<Object>} - {success, fromHash, conflicts} conflicts is the list of conflicted files (see getConflicts) when the merge is not complete
+ */
+export async function mergeBranch(repoPath, sourceBranch, {commitMessage = `Merge ${sourceBranch}`, authorName, authorEmail, checkChanges} = {}) {
+    return withRepoLock(repoPath, async () => {
+        await initGitIfNotExists(repoPath);
+        const git = gitWithAuthor(repoPath, { authorName, authorEmail });
+
+        if (await getOperationInProgress(repoPath)) {
+            const error = new Error('An operation is already in progress, complete or abort it first');
+            error.statusCode = 409;
+            throw error;
+        }
+
+        const fromHash = await getHeadHash(repoPath);
+        try {
+            // conflicts do not always reject (git writes them on stdout), they are checked below
+            await git.raw(['merge', '--no-ff', '--no-edit', ...(checkChanges ? ['--no-commit'] : []), '-m', commitMessage, sourceBranch]);
+        } catch (error) {
+            if (!await getOperationInProgress(repoPath)) {
+                throw new Error(`Failed to merge: ${error.message}`);
+            }
+        }
+        const conflicts = await getOperationInProgress(repoPath) ? await getConflicts(repoPath) : [];
+        if (conflicts.length === 0 && checkChanges && await getOperationInProgress(repoPath)) {
+            await commitCheckedOperation(git, repoPath, 'merge', checkChanges);
+        }
+        return { success: conflicts.length === 0, fromHash, conflicts };
+    });
+}
+
+/**
+ * Mark a conflicted file as resolved
+ * @param {string} repoPath - Path to the git repository
+ * @param {string} filePath - Path of the file, relative to the repository
+ * @param {Buffer|string|null} content - Resolved content, null to delete the file
+ * @returns {Promise<void>}
+ */
+export async function resolveConflict(repoPath, filePath, content) {
+    return withRepoLock(repoPath, async () => {
+        const git = simpleGit(repoPath);
+        const absolutePath = path.join(repoPath, filePath);
+        if (content === null) {
+            await fs.remove(absolutePath);
+        } else {
+            await fs.writeFile(absolutePath, content);
+        }
+        await git.raw(['add', '-A', '--', filePath]);
+    });
+}
+
+/**
+ * Complete the operation in progress once all conflicts are resolved
+ * @param {string} repoPath - Path to the git repository
+ * @param {Object} [author] - Author of the commit completing the operation
+ * @param {string} [author.authorName] - Author name
+ * @param {string} [author.authorEmail] - Author email
+ * @param {Function} [author.checkChanges] - Called with the changes of the operation before the commit, see checkStagedChanges
+ * (the operation stays in progress if it throws)
+ * @returns {Promise<Object>} - {fromHash, toHash} the commit before and after the operation
+ */
+export async function continueOperation(repoPath, { authorName, authorEmail, checkChanges } = {}) {
+    return withRepoLock(repoPath, async () => {
+        const git = gitWithAuthor(repoPath, { authorName, authorEmail });
+        if (!await getOperationInProgress(repoPath)) {
+            const error = new Error('No operation in progress');
+            error.statusCode = 409;
+            throw error;
+        }
+        const conflicts = await getConflicts(repoPath);
+        if (conflicts.length > 0) {
+            const error = new Error(`Some files are still in conflict: ${conflicts.map(c => c.path).join(', ')}`);
+            error.statusCode = 409;
+            throw error;
+        }
+        const operation = await getOperationInProgress(repoPath);
+        const fromHash = await getHeadHash(repoPath);
+        if (checkChanges) {
+            await checkStagedChanges(repoPath, checkChanges);
+        }
+        // keep the prepared commit message without opening an editor
+        await git.raw(['-c', 'core.editor=true', operation, '--continue']);
+        return { fromHash, toHash: await getHeadHash(repoPath) };
+    });
+}
+
+/**
+ * Abort the operation in progress and go back to the state before it started
+ * @param {string} repoPath - Path to the git repository
+ * @returns {Promise<void>}
+ */
+export async function abortOperation(repoPath) {
+    return withRepoLock(repoPath, async () => {
+        const git = simpleGit(repoPath);
+        const operation = await getOperationInProgress(repoPath);
+        if (!operation) {
+            const error = new Error('No operation in progress');
+            error.statusCode = 409;
+            throw error;
+        }
+        await git.raw([operation, '--abort']);
+    });
+}
+
+/**
+ * Deletes a branch and its worktree
  * @param {string} repoPath - Path to the main git repository (e.g., '/public')
- * @param {string} newBranchName - Name of the new branch to create
+ * @param {string} branchName - Name of the branch to delete
  * @param {string} branchesPath - Path to the branches directory (e.g., '/branches')
- * @param {string} sourceBranch - Source branch to create from (e.g., 'main' or 'feature-one')
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.force=false] - Delete even if the branch has uncommitted changes or commits not merged in the main repository branch
  * @returns {Promise<void>}
- * @throws {Error} If branch creation fails or paths are invalid
+ * @throws {Error} If the branch has unmerged work (statusCode 409) or the deletion fails
  */
-export async function createBranchWithWorktree(repoPath, newBranchName, branchesPath, sourceBranch) {
-    try {
-        await initGitIfNotExists(repoPath);
-        // Initialize git in the main repository
+export async function deleteBranchWithWorktree(repoPath, branchName, branchesPath, { force = false } = {}) {
+    return withRepoLock(repoPath, async () => {
+        if (!branchName || !branchName.match(BRANCH_NAME_REGEXP)) {
+            throw new Error('Invalid branch name');
+        }
         const git = simpleGit(repoPath);
+        const targetPath = path.join(branchesPath, branchName);
+        const worktreeExists = await fs.pathExists(targetPath);
 
-        //check branch name is valid
-        if (!newBranchName.match(/^[a-zA-Z0-9-]+$/)) {
-            throw new Error('Invalid branch name');
+        if (!force) {
+            if (worktreeExists) {
+                const status = await simpleGit(targetPath).status();
+                if (status.files.length > 0) {
+                    const error = new Error(`Branch ${branchName} has uncommitted changes`);
+                    error.statusCode = 409;
+                    throw error;
+                }
+            }
+            const mainBranch = await getWorktreeBranch(repoPath);
+            const unmergedCount = parseInt((await git.raw(['rev-list', '--count', `${mainBranch}..${branchName}`])).trim(), 10);
+            if (unmergedCount > 0) {
+                const error = new Error(`Branch ${branchName} has ${unmergedCount} commit(s) not merged in ${mainBranch}`);
+                error.statusCode = 409;
+                throw error;
+            }
         }
 
-        // Calculate the target path for the new branch
+        try {
+            if (worktreeExists) {
+                const args = ['worktree', 'remove'];
+                if (force) {
+                    args.push('--force');
+                }
+                args.push(path.relative(repoPath, targetPath));
+                await git.raw(args);
+            } else {
+                // the directory was removed by hand, clean the worktree metadata
+                await git.raw(['worktree', 'prune']);
+            }
+            await git.raw(['branch', '-D', branchName]);
+            console.log(`Successfully deleted branch '${branchName}'`);
+        } catch (error) {
+            throw new Error(`Failed to delete branch: ${error.message}`);
+        }
+    });
+}
+
+/**
+ * Renames a branch and moves its worktree accordingly
+ * @param {string} repoPath - Path to the main git repository (e.g., '/public')
+ * @param {string} branchName - Current name of the branch
+ * @param {string} newBranchName - New name of the branch
+ * @param {string} branchesPath - Path to the branches directory (e.g., '/branches')
+ * @returns {Promise<void>}
+ * @throws {Error} If the names are invalid or the target already exists (statusCode 409)
+ */
+export async function renameBranchWithWorktree(repoPath, branchName, newBranchName, branchesPath) {
+    return withRepoLock(repoPath, async () => {
+        if (!branchName || !branchName.match(BRANCH_NAME_REGEXP) || !newBranchName || !newBranchName.match(BRANCH_NAME_REGEXP)) {
+            throw new Error('Invalid branch name');
+        }
+        const git = simpleGit(repoPath);
+        const sourcePath = path.join(branchesPath, branchName);
         const targetPath = path.join(branchesPath, newBranchName);
 
-        // Check if target directory already exists
+        if (await fs.pathExists(targetPath)) {
+            const error = new Error(`Directory already exists: ${targetPath}`);
+            error.statusCode = 409;
+            throw error;
+        }
+
         try {
-            await fs.stat(targetPath);
-            throw new Error(`Directory already exists: ${targetPath}`);
-        // eslint-disable-next-line no-unused-vars
+            await git.raw(['worktree', 'move', path.relative(repoPath, sourcePath), path.relative(repoPath, targetPath)]);
+            await git.raw(['branch', '-m', branchName, newBranchName]);
+            console.log(`Successfully renamed branch '${branchName}' to '${newBranchName}'`);
+        } catch (error) {
+            throw new Error(`Failed to rename branch: ${error.message}`);
+        }
+    });
+}
+
+/**
+ * Clean the worktrees whose directory has been removed by hand
+ *
+ * The branch of a pruned worktree is deleted when all its commits are merged in the main repository branch,
+ * otherwise it is kept and reported (delete it with deleteBranchWithWorktree and force to drop its commits)
+ *
+ * @param {string} repoPath - Path to the main git repository (e.g., '/public')
+ * @returns {Promise<Object>} - {pruned, deletedBranches, orphanBranches} pruned are the paths of the pruned worktrees,
+ * orphanBranches are the branches kept because of their unmerged commits
+ */
+export async function pruneWorktrees(repoPath) {
+    return withRepoLock(repoPath, async () => {
+        const git = simpleGit(repoPath);
+        // worktree path -> branch name (null for a detached worktree)
+        const listWorktrees = async () => new Map((await git.raw(['worktree', 'list', '--porcelain']))
+            .split('\n\n')
+            .map(block => block.split('\n'))
+            .filter(lines => lines[0].startsWith('worktree '))
+            .map(lines => [
+                lines[0].substring('worktree '.length),
+                lines.find(line => line.startsWith('branch refs/heads/'))?.substring('branch refs/heads/'.length) ?? null
+            ]));
+
+        const before = await listWorktrees();
+        await git.raw(['worktree', 'prune']);
+        const after = await listWorktrees();
+        const pruned = [...before.keys()].filter(worktree => !after.has(worktree));
+
+        const mainBranch = await getWorktreeBranch(repoPath);
+        const deletedBranches = [];
+        const orphanBranches = [];
+        for (const branchName of pruned.map(worktree => before.get(worktree)).filter(branch => branch)) {
+            const unmergedCount = parseInt((await git.raw(['rev-list', '--count', `${mainBranch}..${branchName}`])).trim(), 10);
+            if (unmergedCount > 0) {
+                orphanBranches.push(branchName);
+            } else {
+                await git.raw(['branch', '-D', branchName]);
+                deletedBranches.push(branchName);
+            }
+        }
+        return { pruned, deletedBranches, orphanBranches };
+    });
+}
+
+/**
+ * Resolve the commit from which a comparison starts
+ */
+async function getCompareStart(git, baseRef, headRef, mergeBase) {
+    if (!mergeBase) {
+        return baseRef;
+    }
+    return (await git.raw(['merge-base', baseRef, headRef])).trim();
+}
+
+/**
+ * Parse the output of git diff --numstat -z
+ * @param {string} numstat - Output of the diff
+ * @returns {Object} - path -> {insertions, deletions, binary}
+ */
+function parseNumstat(numstat) {
+    // numstat -z gives "insertions\tdeletions\tpath\0" or "insertions\tdeletions\t\0previousPath\0path\0" for renames
+    const stats = {};
+    const parts = numstat.split('\0');
+    for (let i = 0; i < parts.length - 1;) {
+        const [insertions, deletions, filePath] = parts[i++].split('\t');
+        let statPath = filePath;
+        if (!statPath) {
+            // renamed file, skip the previous path
+            i++;
+            statPath = parts[i++];
+        }
+        stats[statPath] = {
+            insertions: insertions === '-' ? 0 : parseInt(insertions, 10),
+            deletions: deletions === '-' ? 0 : parseInt(deletions, 10),
+            binary: insertions === '-'
+        };
+    }
+    return stats;
+}
+
+/**
+ * List the files added, modified, deleted or renamed between two commits
+ * @param {string} repoPath - Path to the git repository
+ * @param {string} baseRef - Reference of the base (branch name, tag or commit hash)
+ * @param {string} headRef - Reference of the compared version
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.mergeBase=true] - Compare from the common ancestor of both refs (only the changes done in head), otherwise compare the two versions directly
+ * @returns {Promise<Object>} - {from, files: [{path, previousPath, type, insertions, deletions, binary}]}
+ */
+export async function compareRefs(repoPath, baseRef, headRef, { mergeBase = true } = {}) {
+    return withRepoLock(repoPath, async () => {
+        try {
+            const git = simpleGit(repoPath);
+            const from = await getCompareStart(git, baseRef, headRef, mergeBase);
+            const files = await getChangedFiles(repoPath, from, headRef);
+
+            const stats = parseNumstat(await git.raw(['diff', '--numstat', '-M', '-z', from, headRef]));
+
+            return {
+                from,
+                files: files.map(file => ({ ...file, ...(stats[file.path] ?? { insertions: 0, deletions: 0, binary: false }) }))
+            };
+        } catch (error) {
+            console.error('Error comparing refs:', error);
+            throw error;
+        }
+    });
+}
+
+/**
+ * Get the content of a file in both versions of a comparison
+ * @param {string} repoPath - Path to the git repository
+ * @param {string} baseRef - Reference of the base
+ * @param {string} headRef - Reference of the compared version
+ * @param {string} filePath - Path of the file in the compared version
+ * @param {Object} [options] - Options
+ * @param {string} [options.previousPath] - Path of the file in the base when it has been renamed
+ * @param {boolean} [options.mergeBase=true] - Compare from the common ancestor of both refs (see compareRefs)
+ * @returns {Promise<Object>} - Object containing the file content before and after
+ */
+export async function getCompareFileDiff(repoPath, baseRef, headRef, filePath, { previousPath, mergeBase = true } = {}) {
+    return withRepoLock(repoPath, async () => {
+        try {
+            const git = simpleGit(repoPath);
+            const from = await getCompareStart(git, baseRef, headRef, mergeBase);
+
+            const beforeContent = await getFileContentAt(repoPath, from, previousPath || filePath);
+            const afterContent = await getFileContentAt(repoPath, headRef, filePath);
+
+            return {
+                before: beforeContent?.toString('utf-8') ?? '',
+                after: afterContent?.toString('utf-8') ?? '',
+                wasDeleted: afterContent === null,
+                wasCreated: beforeContent === null
+            };
+        } catch (error) {
+            console.error('Error getting file content diff:', error);
+            throw error;
+        }
+    });
+}
+
+/**
+ * Create a commit reverting the changes of a previous commit
+ * @param {string} repoPath - Path to the git repository
+ * @param {string} commitHash - Hash of the commit to revert
+ * @param {Object} [author] - Author of the revert commit
+ * @param {string} [author.authorName] - Author name
+ * @param {string} [author.authorEmail] - Author email
+ * @param {Function} [author.checkChanges] - Called with the reverted changes before the commit, see checkStagedChanges
+ * (the revert is aborted if it throws)
+ * @returns {Promise<Object>} - {success, fromHash, conflicts} conflicts is the list of conflicted files (see getConflicts) when the revert is not complete
+ */
+export async function revertCommit(repoPath, commitHash, { authorName, authorEmail, checkChanges } = {}) {
+    return withRepoLock(repoPath, async () => {
+        await initGitIfNotExists(repoPath);
+        const git = gitWithAuthor(repoPath, { authorName, authorEmail });
+
+        if (await getOperationInProgress(repoPath)) {
+            const error = new Error('An operation is already in progress, complete or abort it first');
+            error.statusCode = 409;
+            throw error;
+        }
+
+        const args = ['revert', '--no-edit', ...(checkChanges ? ['--no-commit'] : [])];
+        // a merge commit is reverted relatively to its first parent (the branch that received the merge)
+        const parents = (await git.raw(['rev-list', '--parents', '-n', '1', commitHash])).trim().split(' ');
+        if (parents.length > 2) {
+            args.push('-m', '1');
+        }
+        args.push(commitHash);
+
+        const fromHash = await getHeadHash(repoPath);
+        try {
+            await git.raw(args);
+        } catch (error) {
+            if (!await getOperationInProgress(repoPath)) {
+                throw new Error(`Failed to revert: ${error.message}`);
+            }
+        }
+        const conflicts = await getOperationInProgress(repoPath) ? await getConflicts(repoPath) : [];
+        if (conflicts.length === 0 && checkChanges && await getOperationInProgress(repoPath)) {
+            await commitCheckedOperation(git, repoPath, 'revert', checkChanges);
+        }
+        return { success: conflicts.length === 0, fromHash, conflicts };
+    });
+}
+
+/**
+ * Restore all the files of the worktree as they were at a given commit
+ * (files that did not exist at this commit are removed, the result is not committed)
+ * @param {string} repoPath - Path to the git repository
+ * @param {string} commitHash - Hash of the commit to restore
+ * @param {Object} [options] - Options
+ * @param {Function} [options.checkChanges] - Called with the restored changes, see checkStagedChanges
+ * (the files are restored back to HEAD if it throws)
+ * @returns {Promise<void>}
+ */
+export async function restoreWorktreeToCommit(repoPath, commitHash, { checkChanges } = {}) {
+    return withRepoLock(repoPath, async () => {
+        const git = simpleGit(repoPath);
+        try {
+            await git.raw(['restore', `--source=${commitHash}`, '--staged', '--worktree', '--', '.']);
         } catch (error) {
-            //ok does not exist
+            throw new Error(`Failed to restore: ${error.message}`);
         }
+        if (checkChanges) {
+            try {
+                await checkStagedChanges(repoPath, checkChanges);
+            } catch (error) {
+                await git.raw(['restore', '--source=HEAD', '--staged', '--worktree', '--', '.']);
+                throw error;
+            }
+        }
+    });
+}
+
+/**
+ * List the commits that modified a file (following renames) as JSON with pagination options
+ * @param {string} repoPath - Path to the git repository
+ * @param {string} filePath - Path of the file, relative to the repository
+ * @param {Object} [options] - Pagination options
+ * @param {number} [options.offset=0] - Number of commits to skip
+ * @param {number} [options.limit=10] - Maximum number of commits to return
+ * @returns {Promise<Array>} - Array of commit objects, path is the path of the file in this commit
+ */
+export async function listFileCommitsAsJson(repoPath, filePath, options = {}) {
+    return withRepoLock(repoPath, async () => {
+        try {
+            await initGitIfNotExists(repoPath);
+            const git = simpleGit(repoPath);
+
+            const { offset = 0, limit = 10 } = options;
 
-        // Get the relative path from public to branches directory
-        const relativeTargetPath = path.relative(repoPath, targetPath);
+            const args = [
+                '-c', 'core.quotePath=false',
+                'log', '--follow', '--name-status',
+                '--format=%x1e%H%x1f%ai%x1f%s%x1f%an%x1f%ae',
+                '-n', String(Number(limit) || 10)
+            ];
+            if (offset && Number(offset)) {
+                args.push(`--skip=${Number(offset)}`);
+            }
+            args.push('--', filePath);
+            const output = await git.raw(args);
 
-        // Create new worktree with branch
-        let args = [
-            'worktree',
-            'add',
-            '-b',
-            newBranchName,
-            relativeTargetPath        ];
-        if(sourceBranch && sourceBranch !== 'public'){
-            args.push(sourceBranch);
+            return output.split('\x1e').filter(entry => entry.trim()).map(entry => {
+                const [header, ...changes] = entry.split('\n');
+                const [hash, date, message, author_name, author_email] = header.split('\x1f');
+                // the last name-status line gives the path of the file in this commit (new path for a rename)
+                const change = changes.filter(line => line.trim()).pop()?.split('\t') ?? [];
+                return {
+                    hash, date, message, author_name, author_email,
+                    path: change[change.length - 1] ?? filePath,
+                    previousPath: change[0]?.startsWith('R') ? change[1] : undefined
+                };
+            });
+        } catch (error) {
+            console.error('Error listing file commits:', error);
+            throw error;
         }
-        await git.raw(args);
+    });
+}
 
-        console.log(`Successfully created branch '${newBranchName}' from '${sourceBranch}'`);
-        console.log(`Worktree location: ${targetPath}`);
+/**
+ * Get the number of commits that modified a file (following renames)
+ * @param {string} repoPath - Path to the git repository
+ * @param {string} filePath - Path of the file, relative to the repository
+ * @returns {Promise<number>} - Number of commits
+ */
+export async function getFileCommitCount(repoPath, filePath) {
+    return withRepoLock(repoPath, async () => {
+        try {
+            await initGitIfNotExists(repoPath);
+            const git = simpleGit(repoPath);
 
+            // rev-list does not support --follow, count the log entries
+            const output = await git.raw(['log', '--follow', '--format=%H', '--', filePath]);
+            return output.split('\n').filter(line => line.trim()).length;
+        } catch (error) {
+            console.error('Error counting file commits:', error);
+            throw error;
+        }
+    });
+}
+
+/**
+ * Get the commit that last modified each line of a file
+ * @param {string} repoPath - Path to the git repository
+ * @param {string} filePath - Path of the file, relative to the repository
+ * @param {string} [ref='HEAD'] - Version of the file to annotate
+ * @returns {Promise<Array>} - Array of {line, hash, author_name, author_email, date, summary}, one entry per line of the file
+ */
+export async function blameFile(repoPath, filePath, ref = 'HEAD') {
+    return withRepoLock(repoPath, async () => {
+        try {
+            const git = simpleGit(repoPath);
+            const output = await git.raw(['blame', '--porcelain', ref, '--', filePath]);
+
+            // porcelain format : a header "<hash> <original line> <final line> [<lines count>]",
+            // the commit information the first time the commit appears, then the line content prefixed by a tab
+            const commits = {};
+            const lines = [];
+            let current = null;
+            for (const row of output.split('\n')) {
+                if (row.startsWith('\t')) {
+                    const commit = commits[current.hash];
+                    lines.push({
+                        line: current.line,
+                        hash: current.hash,
+                        author_name: commit.author_name,
+                        author_email: commit.author_email,
+                        date: commit.date,
+                        summary: commit.summary
+                    });
+                    continue;
+                }
+                const header = row.match(/^([0-9a-f]{40}) \d+ (\d+)/);
+                if (header) {
+                    current = { hash: header[1], line: parseInt(header[2], 10) };
+                    commits[current.hash] = commits[current.hash] ?? {};
+                    continue;
+                }
+                if (!current) {
+                    continue;
+                }
+                const spaceIndex = row.indexOf(' ');
+                const key = row.substring(0, spaceIndex);
+                const value = row.substring(spaceIndex + 1);
+                const commit = commits[current.hash];
+                if (key === 'author') {
+                    commit.author_name = value;
+                } else if (key === 'author-mail') {
+                    commit.author_email = value.replace(/^<|>$/g, '');
+                } else if (key === 'author-time') {
+                    commit.date = new Date(parseInt(value, 10) * 1000).toISOString();
+                } else if (key === 'summary') {
+                    commit.summary = value;
+                }
+            }
+            return lines;
+        } catch (error) {
+            console.error('Error getting file blame:', error);
+            throw error;
+        }
+    });
+}
+
+/**
+ * List the files modified in the worktree and not committed yet
+ * @param {string} repoPath - Path to the git repository
+ * @returns {Promise<Array>} - Array of {path, previousPath, type} where type is added, modified, deleted or renamed
+ */
+export async function getUncommittedFiles(repoPath) {
+    return withRepoLock(repoPath, async () => {
+        const git = simpleGit(repoPath);
+        // porcelain -z : "XY path\0", renames are "XY path\0previousPath\0"
+        const output = await git.raw(['status', '--porcelain=v1', '-z', '-uall']);
+        const parts = output.split('\0');
+        const files = [];
+        for (let i = 0; i < parts.length - 1;) {
+            const entry = parts[i++];
+            const status = entry.substring(0, 2);
+            const filePath = entry.substring(3);
+            if (status.includes('R')) {
+                files.push({ path: filePath, previousPath: parts[i++], type: 'renamed' });
+            } else if (status === '??' || status.includes('A')) {
+                files.push({ path: filePath, type: 'added' });
+            } else if (status.includes('D')) {
+                files.push({ path: filePath, type: 'deleted' });
+            } else {
+                files.push({ path: filePath, type: 'modified' });
+            }
+        }
+        return files;
+    });
+}
+
+/**
+ * Commit only some files of the repository (other modifications stay uncommitted)
+ * @param {string} repoPath - Path to the git repository
+ * @param {Array<string>} files - Paths of the files to commit, relative to the repository (deleted files included)
+ * @param {Object} options - Options for the commit
+ * @param {string} options.commitMessage - Commit message
+ * @param {string} [options.authorName] - Author name
+ * @param {string} [options.authorEmail] - Author email
+ * @returns {Promise<void>}
+ */
+export async function commitFiles(repoPath, files, {commitMessage = 'Auto commit', authorName, authorEmail} = {}) {
+    return withRepoLock(repoPath, async () => {
+        try {
+            if (files.length === 0) {
+                console.log('No changes to commit');
+                return;
+            }
+            const git = gitWithAuthor(repoPath, { authorName, authorEmail });
+            await git.raw(['add', '-A', '--', ...files]);
+            const commitResult = await git.raw(['commit', '-m', commitMessage, '--', ...files]);
+            console.log('Changes committed successfully:', commitResult);
+        } catch (error) {
+            console.error('Error committing changes:', error);
+            throw error;
+        }
+    });
+}
+
+/**
+ * List the files modified in the worktree and not committed yet, with their number of modified lines
+ * @param {string} repoPath - Path to the git repository
+ * @returns {Promise<Array>} - Array of {path, previousPath, type, insertions, deletions, binary} (see getUncommittedFiles)
+ */
+export async function getUncommittedChanges(repoPath) {
+    return withRepoLock(repoPath, async () => {
+        try {
+            const git = simpleGit(repoPath);
+            const files = await getUncommittedFiles(repoPath);
+            const head = await getHeadHash(repoPath) ?? EMPTY_TREE_HASH;
+            const stats = parseNumstat(await git.raw(['diff', '--numstat', '-M', '-z', head]));
+            for (const file of files) {
+                let fileStats = stats[file.path];
+                if (file.type === 'renamed' && await fs.pathExists(path.join(repoPath, file.path))) {
+                    // the rename detection of the diff may not pair the previous and the edited file, compare them directly
+                    fileStats = await getRenamedFileStats(git, head, file);
+                } else if (!fileStats && file.type === 'added') {
+                    // untracked files are not in the diff
+                    const content = await fs.readFile(path.join(repoPath, file.path));
+                    const binary = content.subarray(0, 8000).includes(0);
+                    const text = binary ? '' : content.toString('utf-8');
+                    const lineCount = text ? text.split(/\r?\n/).length - (text.endsWith('\n') ? 1 : 0) : 0;
+                    fileStats = { insertions: lineCount, deletions: 0, binary };
+                }
+                Object.assign(file, fileStats ?? { insertions: 0, deletions: 0, binary: false });
+            }
+            return files;
+        } catch (error) {
+            console.error('Error getting uncommitted changes:', error);
+            throw error;
+        }
+    });
+}
+
+async function getRenamedFileStats(git, head, file) {
+    // hash-object -w stores the worktree content so both blobs can be compared
+    const worktreeBlob = (await git.raw(['hash-object', '-w', '--', file.path])).trim();
+    const numstat = await git.raw(['diff', '--numstat', `${head}:${file.previousPath}`, worktreeBlob]);
+    const [insertions, deletions] = numstat.split('\t');
+    if (!numstat.trim()) {
+        // same content
+        return { insertions: 0, deletions: 0, binary: false };
+    }
+    return {
+        insertions: insertions === '-' ? 0 : parseInt(insertions, 10),
+        deletions: deletions === '-' ? 0 : parseInt(deletions, 10),
+        binary: insertions === '-'
+    };
+}
+
+/**
+ * Get the content of an uncommitted file in the last commit and in the worktree
+ * @param {string} repoPath - Path to the git repository
+ * @param {string} filePath - Path of the file, relative to the repository
+ * @param {Object} [options] - Options
+ * @param {string} [options.previousPath] - Path of the file in the last commit if it has been renamed
+ * @returns {Promise<Object>} - {before, after, wasDeleted, wasCreated} as getCompareFileDiff
+ */
+export async function getUncommittedFileDiff(repoPath, filePath, { previousPath } = {}) {
+    const beforeContent = await getFileContentAt(repoPath, 'HEAD', previousPath || filePath);
+    let afterContent = null;
+    try {
+        afterContent = await fs.readFile(path.join(repoPath, filePath));
+    // eslint-disable-next-line no-unused-vars
     } catch (error) {
-        throw new Error(`Failed to create branch: ${error.message}`);
+        // deleted file
+    }
+    return {
+        before: beforeContent?.toString('utf-8') ?? '',
+        after: afterContent?.toString('utf-8') ?? '',
+        wasDeleted: afterContent === null,
+        wasCreated: beforeContent === null
+    };
+}
+
+/**
+ * Drop the uncommitted changes of some files : the files go back to their content of the last commit,
+ * the new files are removed and the renamed files get back their previous name
+ * @param {string} repoPath - Path to the git repository
+ * @param {Array<string>} filePaths - Paths of the files, relative to the repository
+ * @returns {Promise<Array>} - The discarded changes, as {path, previousPath, type} (see getUncommittedFiles)
+ */
+export async function discardFiles(repoPath, filePaths) {
+    return withRepoLock(repoPath, async () => {
+        try {
+            const git = simpleGit(repoPath);
+            const requested = new Set(filePaths);
+            const discarded = (await getUncommittedFiles(repoPath)).filter(file => requested.has(file.path));
+            const toRestore = [];
+            const toRemove = [];
+            for (const file of discarded) {
+                if (file.type === 'added') {
+                    toRemove.push(file.path);
+                } else if (file.type === 'renamed') {
+                    toRemove.push(file.path);
+                    toRestore.push(file.previousPath);
+                } else {
+                    toRestore.push(file.path);
+                }
+            }
+            if (toRemove.length > 0) {
+                // -f : the staged content of a file moved then edited differs from both the file and HEAD
+                await git.raw(['rm', '--cached', '-f', '--quiet', '--ignore-unmatch', '--', ...toRemove]);
+                for (const filePath of toRemove) {
+                    await fs.remove(path.join(repoPath, filePath));
+                }
+            }
+            if (toRestore.length > 0) {
+                await git.raw(['restore', '--source=HEAD', '--staged', '--worktree', '--', ...toRestore]);
+            }
+            return discarded;
+        } catch (error) {
+            console.error('Error discarding changes:', error);
+            throw error;
+        }
+    });
+}
+
+/**
+ * Start an archive of the files as they were at a given commit (through git archive)
+ * @param {string} repoPath - Path to the git repository
+ * @param {Object} options - Archive options
+ * @param {string} options.ref - Commit hash, branch or tag to archive
+ * @param {string} [options.subPath] - Only archive this directory (its content is put at the root of the archive)
+ * @param {string} [options.format='zip'] - zip or tar.gz
+ * @param {Array<string>} [options.include] - Globs of the files to archive (globs without "/" match in any directory)
+ * @param {Array<string>} [options.exclude] - Globs of the files to skip
+ * @returns {Promise<ChildProcess>} - The git process, the archive is written on its stdout
+ * @throws {Error} If the ref or the sub path does not exist (statusCode 404)
+ */
+export async function spawnGitArchive(repoPath, { ref, subPath, format = 'zip', include = [], exclude = [] }) {
+    const git = simpleGit(repoPath);
+    const treeish = subPath ? `${ref}:${subPath}` : ref;
+    let tree = '';
+    try {
+        tree = (await git.raw(['rev-parse', '--verify', '-q', `${treeish}^{tree}`])).trim();
+    // eslint-disable-next-line no-unused-vars
+    } catch (error) {
+        // unknown ref
+    }
+    if (!tree) {
+        const notFound = new Error(`Unknown version ${treeish}`);
+        notFound.statusCode = 404;
+        throw notFound;
+    }
+    const toPathspec = (glob, magic) => `:(${magic})${glob.includes('/') ? glob : `**/${glob}`}`;
+    const pathspecs = [
+        ...include.map(glob => toPathspec(glob, 'glob')),
+        ...exclude.map(glob => toPathspec(glob, 'glob,exclude'))
+    ];
+    if (include.length === 0 && exclude.length > 0) {
+        // exclude pathspecs need a positive pathspec
+        pathspecs.unshift('.');
+    }
+    const args = ['archive', `--format=${format}`, treeish];
+    if (pathspecs.length > 0) {
+        args.push('--', ...pathspecs);
     }
+    return spawn('git', args, { cwd: repoPath });
 }
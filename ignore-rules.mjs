@@ -0,0 +1,155 @@
+import { readdir, readFile, stat } from 'fs/promises';
+import path from 'path';
+import ignore from 'ignore';
+
+// editor specific rules, same syntax as .gitignore
+export const EDITOR_IGNORE_FILE = ".editorignore";
+const GIT_IGNORE_FILE = ".gitignore";
+
+// never shown, even when the ignored files are requested
+const ALWAYS_IGNORED = [".git"];
+// hidden when the app has no rule about them (a "!node_modules/" rule shows them back)
+const DEFAULT_RULES = [".DS_Store", "node_modules/"];
+
+// path of a rule file -> {mtimeMs, rules}, the file is read again when its modification date changes
+const rulesCache = new Map();
+
+async function readRuleFile(filePath) {
+    let mtimeMs;
+    try {
+        mtimeMs = (await stat(filePath)).mtimeMs;
+    // eslint-disable-next-line no-unused-vars
+    } catch (err) {
+        // no rule file
+        rulesCache.delete(filePath);
+        return "";
+    }
+    const cached = rulesCache.get(filePath);
+    if (cached && cached.mtimeMs === mtimeMs) {
+        return cached.rules;
+    }
+    const rules = await readFile(filePath, "utf-8");
+    rulesCache.set(filePath, { mtimeMs, rules });
+    return rules;
+}
+
+/**
+ * Check a path with the rules of each directory, the deepest rule file giving a verdict wins (like git)
+ * @param {Array<Object>} scopes - {dir, matcher} dir is relative to the worktree ("" for the root), deepest first
+ * @param {string} normalizedPath - Path relative to the worktree, with "/" separators
+ * @param {boolean} isDirectory - True for a directory
+ * @returns {boolean} - True if the path is ignored
+ */
+function matchScopes(scopes, normalizedPath, isDirectory) {
+    for (const { dir, matcher } of scopes) {
+        if (dir && !normalizedPath.startsWith(dir + "/")) {
+            continue;
+        }
+        const scopedPath = dir ? normalizedPath.slice(dir.length + 1) : normalizedPath;
+        const result = matcher.test(isDirectory ? scopedPath + "/" : scopedPath);
+        if (result.ignored) {
+            return true;
+        }
+        if (result.unignored) {
+            return false;
+        }
+    }
+    return false;
+}
+
+/**
+ * Load the ignore rules of a worktree (public or branch directory)
+ *
+ * The rules are the defaults (.DS_Store, node_modules) and the .gitignore at the root of the worktree, then the .gitignore
+ * of the sub directories (their rules are relative to their directory and override the rules of the parent directories,
+ * the .gitignore of an ignored directory is not read, like git). The .editorignore at the root of the worktree comes last,
+ * its "!" rules can show back the files ignored by the .gitignore files. The .git directory is always ignored.
+ * A file of an ignored directory is ignored
+ *
+ * To list a sub directory, give its path and the depth of the listing : only the .gitignore of its parents and of the listed 
+ * directories are read, the other files of the worktree can't be checked
+ *
+ * @param {string} basePath - Path of the worktree
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.showIgnored=false] - Only ignore the .git directory
+ * @param {Array<string>} [options.additionalRules] - Rules added after the rules of the app
+ * @param {string} [options.path] - Sub directory (relative to basePath) of the checked files, the whole worktree by default
+ * @param {number} [options.depth=Infinity] - Number of levels of the sub directory of the checked files
+ * @returns {Promise<function>} - isIgnored(relativePath, isDirectory), relativePath is relative to basePath
+ */
+export async function loadIgnoreRules(basePath, { showIgnored = false, additionalRules = [], path: subPath = "", depth = Infinity } = {}) {
+    // deepest first
+    const scopes = [];
+    if (!showIgnored) {
+        scopes.push(
+            { dir: "", matcher: ignore().add(await readRuleFile(path.join(basePath, EDITOR_IGNORE_FILE))).add(additionalRules) },
+            { dir: "", matcher: ignore().add(DEFAULT_RULES).add(await readRuleFile(path.join(basePath, GIT_IGNORE_FILE))) }
+        );
+    }
+
+    // directory -> ignored, the parents are checked before their files
+    const ignoredDirectories = new Map();
+    const isIgnored = (relativePath, isDirectory = false) => {
+        const normalizedPath = relativePath.split(path.sep).join("/").replace(/^\.?\/+/, "").replace(/\/+$/, "");
+        if (!normalizedPath) {
+            return false;
+        }
+        if (normalizedPath.split("/").some(part => ALWAYS_IGNORED.includes(part))) {
+            return true;
+        }
+        const parent = path.posix.dirname(normalizedPath);
+        if (parent !== "." && isIgnored(parent, true)) {
+            return true;
+        }
+        if (!isDirectory) {
+            return matchScopes(scopes, normalizedPath, false);
+        }
+        if (!ignoredDirectories.has(normalizedPath)) {
+            ignoredDirectories.set(normalizedPath, matchScopes(scopes, normalizedPath, true));
+        }
+        return ignoredDirectories.get(normalizedPath);
+    };
+
+    if (!showIgnored) {
+        const startDir = subPath.split(path.sep).join("/").replace(/^\.?\/+/, "").replace(/\/+$/, "");
+        // the .gitignore of the parents of the sub directory, from the root
+        const parts = startDir ? startDir.split("/") : [];
+        for (let i = 1; i < parts.length; i++) {
+            const dir = parts.slice(0, i).join("/");
+            const rules = await readRuleFile(path.join(basePath, dir, GIT_IGNORE_FILE));
+            if (rules) {
+                scopes.splice(1, 0, { dir, matcher: ignore().add(rules) });
+            }
+        }
+
+        // the .gitignore of the sub directories, the ignored directories are not walked
+        const walk = async (dir, level) => {
+            let entries;
+            try {
+                entries = await readdir(path.join(basePath, dir), { withFileTypes: true });
+            // eslint-disable-next-line no-unused-vars
+            } catch (err) {
+                // removed while walking
+                return;
+            }
+            if (dir && entries.some(entry => entry.name === GIT_IGNORE_FILE && entry.isFile())) {
+                const rules = await readRuleFile(path.join(basePath, dir, GIT_IGNORE_FILE));
+                // deeper than all the scopes found before (walked from the root), after the .editorignore
+                scopes.splice(1, 0, { dir, matcher: ignore().add(rules) });
+            }
+            if (level >= depth) {
+                return;
+            }
+            for (const entry of entries) {
+                const entryPath = dir ? `${dir}/${entry.name}` : entry.name;
+                if (entry.isDirectory() && !isIgnored(entryPath, true)) {
+                    await walk(entryPath, level + 1);
+                }
+            }
+        };
+        if (!isIgnored(startDir, true)) {
+            await walk(startDir, 1);
+        }
+    }
+    return isIgnored;
+}
@@ -23,27 +23,10 @@ export const cleanDatabase = async () => {
 /**
  * Init plugin when Open BamZ platform start
  */
-export const initPlugin = async ({runQuery, logger, loadPluginData, contextOfApp, graphql, appFileSystems}) => {
+export const initPlugin = async ({runQuery, logger, contextOfApp, graphql, appFileSystems}) => {
     const router = express.Router();
 
-    loadPluginData(async ({pluginsData})=>{
-        if(pluginsData?.["code-editor"]?.pluginSlots?.codeEditors){
-            pluginsData?.["code-editor"]?.pluginSlots?.codeEditors.push( {
-                plugin: "code-editor",
-                extensionPath: "/plugin/:appName/code-editor/js/code-editor-monaco.mjs"
-            })
-            pluginsData?.["code-editor"]?.pluginSlots?.codeEditors.push( {
-                plugin: "code-editor",
-                extensionPath: "/plugin/:appName/code-editor/js/code-editor-file.mjs"
-            })
-            pluginsData?.["code-editor"]?.pluginSlots?.codeEditors.push( {
-                plugin: "code-editor",
-                extensionPath: "/plugin/:appName/code-editor/js/code-editor-package/code-editor-package-json.mjs"
-            })
-        }
-    }) ;
-
-    initFileApi({router, contextOfApp, logger, runQuery, graphql}) ;
+    initFileApi({router, contextOfApp, logger, runQuery, graphql, appFileSystems}) ;
     initSshApi({router, logger, graphql, appFileSystems}) ;
     
 
@@ -62,7 +45,8 @@ export const initPlugin = async ({runQuery, logger, loadPluginData, contextOfApp
         pluginSlots: {
             codeEditors: [],
             javascriptApiDef: [],
-            changesListeners: []
+            changesListeners: [],
+            codeTools: []
         }
     }
 }
\ No newline at end of file
@@ -0,0 +1,203 @@
+import { readFile, readdir } from 'fs/promises';
+import path from 'path';
+import semver from 'semver';
+
+const DEPENDENCY_TYPES = ["dependencies", "devDependencies", "optionalDependencies", "peerDependencies"];
+
+async function readJson(filePath) {
+    try {
+        return JSON.parse(await readFile(filePath, "utf-8"));
+    } catch (err) {
+        if (err.code === "ENOENT") {
+            return null;
+        }
+        const error = new Error(`Invalid JSON file ${path.basename(filePath)}: ${err.message}`);
+        error.statusCode = 400;
+        throw error;
+    }
+}
+
+/**
+ * Check if a version satisfies the range declared in a package.json
+ * @returns {boolean|null} - null when the range can't be checked offline (git url, tag, file:...)
+ */
+function satisfiesRange(version, range) {
+    if (!version || !semver.validRange(range)) {
+        return null;
+    }
+    return semver.satisfies(version, range, { includePrerelease: true });
+}
+
+/**
+ * List the packages installed in a node_modules directory, recursively
+ * @param {string} projectDir - Directory containing the package.json
+ * @returns {Promise<Map>} - location (ex: node_modules/a/node_modules/b) -> package.json of the installed package
+ */
+async function listInstalledPackages(projectDir) {
+    const installed = new Map();
+    const listNodeModules = async (location) => {
+        let entries;
+        try {
+            entries = await readdir(path.join(projectDir, location), { withFileTypes: true });
+        // eslint-disable-next-line no-unused-vars
+        } catch (err) {
+            return;
+        }
+        const packageLocations = [];
+        for (const entry of entries) {
+            if (entry.name.startsWith(".") || !(entry.isDirectory() || entry.isSymbolicLink())) {
+                continue;
+            }
+            if (entry.name.startsWith("@")) {
+                const scopeEntries = await readdir(path.join(projectDir, location, entry.name)).catch(() => []);
+                packageLocations.push(...scopeEntries.map(name => `${location}/${entry.name}/${name}`));
+            } else {
+                packageLocations.push(`${location}/${entry.name}`);
+            }
+        }
+        await Promise.all(packageLocations.map(async (packageLocation) => {
+            const packageJson = await readJson(path.join(projectDir, packageLocation, "package.json")).catch(() => null);
+            if (packageJson) {
+                installed.set(packageLocation, packageJson);
+            }
+            await listNodeModules(`${packageLocation}/node_modules`);
+        }));
+    };
+    await listNodeModules("node_modules");
+    return installed;
+}
+
+/**
+ * Find the location of a dependency the way node resolves it : in the node_modules of the package, then in the parent ones
+ * @param {Map} packages - location -> package
+ * @param {string} fromLocation - Location of the package requiring the dependency ("" for the project)
+ * @param {string} name - Name of the dependency
+ * @returns {string|null} - Location of the dependency, null if not found
+ */
+function resolveLocation(packages, fromLocation, name) {
+    let location = fromLocation;
+    while (true) {
+        const candidate = location ? `${location}/node_modules/${name}` : `node_modules/${name}`;
+        if (packages.has(candidate)) {
+            return candidate;
+        }
+        if (!location) {
+            return null;
+        }
+        // go up to the parent package (the part before the last /node_modules/)
+        const index = location.lastIndexOf("/node_modules/");
+        location = index === -1 ? "" : location.substring(0, index);
+    }
+}
+
+function getPackageName(location) {
+    return location.substring(location.lastIndexOf("node_modules/") + "node_modules/".length);
+}
+
+/**
+ * Inspect the dependencies of a package.json from the package-lock.json and the node_modules directory, without network access
+ *
+ * @param {string} projectDir - Directory containing the package.json
+ * @returns {Promise<Object>} - {name, version, lockfileVersion, dependencies, missing, mismatched, extraneous}
+ *  - dependencies : the dependency tree, each node is {name, type, range, version (locked), installed, location, status, deduped, dependencies}
+ *    status is ok, missing (not installed), mismatch (the installed version does not satisfy the range) or unknown (range that can't be checked offline)
+ *  - missing / mismatched : the dependencies declared in package.json that are not installed / not in the expected version
+ *  - extraneous : the installed packages that are not needed by any dependency
+ * @throws {Error} If package.json does not exist (statusCode 404) or a file is invalid (statusCode 400)
+ */
+export async function inspectDependencies(projectDir) {
+    const packageJson = await readJson(path.join(projectDir, "package.json"));
+    if (!packageJson) {
+        const error = new Error("package.json not found");
+        error.statusCode = 404;
+        throw error;
+    }
+    const lock = await readJson(path.join(projectDir, "package-lock.json"));
+    const installed = await listInstalledPackages(projectDir);
+
+    // lockfile v2/v3 has the resolved tree in "packages", otherwise the installed tree is used
+    const lockedPackages = lock?.packages ? new Map(Object.entries(lock.packages).filter(([location]) => location)) : null;
+    const treePackages = lockedPackages ?? installed;
+
+    const expanded = new Set();
+    const buildNode = (fromLocation, name, range, type, ancestors) => {
+        const location = resolveLocation(treePackages, fromLocation, name);
+        const installedLocation = resolveLocation(installed, fromLocation, name);
+        const installedVersion = installedLocation ? installed.get(installedLocation).version : null;
+        const node = {
+            name,
+            type,
+            range,
+            version: location ? treePackages.get(location).version : null,
+            installed: installedVersion,
+            location: location ?? installedLocation
+        };
+        if (!installedVersion) {
+            node.status = "missing";
+        } else {
+            const satisfied = satisfiesRange(installedVersion, range);
+            node.status = satisfied === null ? "unknown" : (satisfied ? "ok" : "mismatch");
+        }
+        if (!location || ancestors.has(location)) {
+            return node;
+        }
+        if (expanded.has(location)) {
+            // already detailed elsewhere in the tree
+            node.deduped = true;
+            return node;
+        }
+        expanded.add(location);
+        const descriptor = treePackages.get(location);
+        const childAncestors = new Set(ancestors).add(location);
+        node.dependencies = [];
+        for (const childType of ["dependencies", "optionalDependencies", "peerDependencies"]) {
+            for (const [childName, childRange] of Object.entries(descriptor[childType] ?? {})) {
+                const child = buildNode(location, childName, childRange, childType, childAncestors);
+                // a missing optional or peer dependency of a dependency is not a problem
+                if (child.status === "missing" && childType !== "dependencies") {
+                    continue;
+                }
+                node.dependencies.push(child);
+            }
+        }
+        return node;
+    };
+
+    const dependencies = [];
+    for (const type of DEPENDENCY_TYPES) {
+        for (const [name, range] of Object.entries(packageJson[type] ?? {})) {
+            if (dependencies.some(dependency => dependency.name === name)) {
+                continue;
+            }
+            dependencies.push(buildNode("", name, range, type, new Set()));
+        }
+    }
+
+    // installed packages reachable from the declared dependencies
+    const reachable = new Set();
+    const markReachable = (fromLocation, descriptor, types) => {
+        for (const type of types) {
+            for (const name of Object.keys(descriptor[type] ?? {})) {
+                const location = resolveLocation(installed, fromLocation, name);
+                if (location && !reachable.has(location)) {
+                    reachable.add(location);
+                    markReachable(location, installed.get(location), ["dependencies", "optionalDependencies", "peerDependencies"]);
+                }
+            }
+        }
+    };
+    markReachable("", packageJson, DEPENDENCY_TYPES);
+
+    return {
+        name: packageJson.name,
+        version: packageJson.version,
+        lockfileVersion: lock?.lockfileVersion ?? null,
+        dependencies,
+        missing: dependencies.filter(d => d.status === "missing" && d.type !== "peerDependencies")
+            .map(({ name, type, range }) => ({ name, type, range })),
+        mismatched: dependencies.filter(d => d.status === "mismatch")
+            .map(({ name, type, range, installed: installedVersion }) => ({ name, type, range, installed: installedVersion })),
+        extraneous: [...installed.keys()].filter(location => !reachable.has(location))
+            .map(location => ({ name: getPackageName(location), version: installed.get(location).version, location }))
+    };
+}
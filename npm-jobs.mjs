@@ -0,0 +1,240 @@
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+
+// name (optionally scoped) and optional version / range / tag, ex: lodash, @scope/pkg@^1.2.0, pkg@latest
+const REGEXP_PACKAGE_SPEC = /^(@[a-z0-9~][a-z0-9-._~]*\/)?[a-z0-9~][a-z0-9-._~]*(@[\w.\-^~<>=|*+ ]+)?$/;
+
+const NPM_ACTIONS = {
+    install: { command: "install", needPackages: false },
+    add: { command: "install", needPackages: true },
+    remove: { command: "uninstall", needPackages: true }
+};
+
+// a finished job is kept this long (ms) so the editor can still read its result
+const FINISHED_JOB_RETENTION = 10 * 60 * 1000;
+// delay (ms) between the cancel request and the kill of npm if it does not stop
+const CANCEL_KILL_DELAY = 5000;
+// only the end of a longer output is kept
+const MAX_OUTPUT_LENGTH = 1024 * 1024;
+const HEARTBEAT_INTERVAL = 25000;
+
+/**
+ * Check and normalize the packages given by the client
+ * @param {string|Array<string>} packages - Package specs, as an array or a space separated string
+ * @returns {Array<string>} - The package specs
+ * @throws {Error} If a spec is not a valid npm package name / version (statusCode 400)
+ */
+export function parsePackageSpecs(packages) {
+    const specs = (Array.isArray(packages) ? packages : String(packages ?? "").split(/\s+/))
+        .map(spec => String(spec).trim()).filter(spec => spec);
+    for (const spec of specs) {
+        // the range may contain spaces only inside an array item ("pkg@>=1.0.0 <2.0.0")
+        // a spec starting with "-" would be read by npm as an option (--no-ignore-scripts, -g...)
+        if (spec.startsWith("-") || !REGEXP_PACKAGE_SPEC.test(spec) || spec.length > 214) {
+            const error = new Error(`Invalid package ${spec}`);
+            error.statusCode = 400;
+            throw error;
+        }
+    }
+    return specs;
+}
+
+/**
+ * Run the npm commands of the apps as background jobs
+ *
+ * npm is spawned without shell, only one job runs at a time for each app. The output of a job can be
+ * read at once or followed live (Server-Sent Events)
+ */
+export class NpmJobRunner {
+    constructor({ logger } = {}) {
+        this.logger = logger;
+        // jobId -> job
+        this.jobs = new Map();
+        // appName -> running job
+        this.runningJobs = new Map();
+    }
+
+    /**
+     * Start an npm job
+     * @param {Object} options - Options
+     * @param {string} options.appName - Name of the app
+     * @param {string} options.cwd - Directory containing the package.json
+     * @param {string} options.action - install (all the dependencies), add or remove
+     * @param {string|Array<string>} [options.packages] - Packages to add or remove
+     * @param {function} [options.onSuccess] - Called with the job when npm succeeded, before the job is marked as done (it can set job.result)
+     * @returns {Object} - The job
+     * @throws {Error} If the action or the packages are invalid (statusCode 400) or a job is already running for the app (statusCode 409)
+     */
+    start({ appName, cwd, action, packages, onSuccess }) {
+        const npmAction = NPM_ACTIONS[action];
+        if (!npmAction) {
+            const error = new Error(`Invalid action ${action}`);
+            error.statusCode = 400;
+            throw error;
+        }
+        const specs = parsePackageSpecs(packages);
+        if (npmAction.needPackages && specs.length === 0) {
+            const error = new Error("Missing package");
+            error.statusCode = 400;
+            throw error;
+        }
+        if (this.runningJobs.has(appName)) {
+            const error = new Error(`An npm job is already running for ${appName}`);
+            error.statusCode = 409;
+            error.jobId = this.runningJobs.get(appName).id;
+            throw error;
+        }
+
+        // "--" : npm never reads the packages as options
+        const args = [npmAction.command, "--ignore-scripts", "--no-fund", ...(npmAction.needPackages ? ["--", ...specs] : [])];
+        const job = {
+            id: crypto.randomUUID(),
+            appName,
+            action,
+            packages: specs,
+            command: `npm ${args.join(" ")}`,
+            status: "running",
+            exitCode: null,
+            output: "",
+            startedAt: Date.now(),
+            endedAt: null,
+            events: new EventEmitter()
+        };
+        this.jobs.set(job.id, job);
+        this.runningJobs.set(appName, job);
+
+        const appendOutput = (stream, text) => {
+            job.output += text;
+            if (job.output.length > MAX_OUTPUT_LENGTH) {
+                job.output = job.output.substring(job.output.length - MAX_OUTPUT_LENGTH);
+            }
+            job.events.emit("output", { stream, text });
+        };
+
+        const finish = (status, exitCode, error) => {
+            job.status = status;
+            job.exitCode = exitCode;
+            job.error = error;
+            job.endedAt = Date.now();
+            this.runningJobs.delete(appName);
+            job.events.emit("end", this.toJSON(job));
+            setTimeout(() => this.jobs.delete(job.id), FINISHED_JOB_RETENTION).unref();
+        };
+
+        const child = spawn("npm", args, {
+            cwd,
+            shell: false,
+            env: { ...process.env, npm_config_color: "false", npm_config_progress: "false" }
+        });
+        job.child = child;
+        child.stdout.on("data", data => appendOutput("stdout", data.toString()));
+        // npm writes its warnings on stderr, only the exit code tells if it failed
+        child.stderr.on("data", data => appendOutput("stderr", data.toString()));
+        child.on("error", err => {
+            this.logger?.warn(`Error run ${job.command} %o`, err);
+            appendOutput("stderr", `${err.message}\n`);
+        });
+        child.on("close", (code, signal) => {
+            clearTimeout(job.killTimeout);
+            if (job.cancelled) {
+                return finish("cancelled", code, null);
+            }
+            if (code !== 0) {
+                return finish("failed", code, signal ? `npm stopped by ${signal}` : `npm exited with code ${code}`);
+            }
+            Promise.resolve(onSuccess?.(job)).then(() => {
+                finish("succeeded", code, null);
+            }).catch(err => {
+                this.logger?.warn(`Error after ${job.command} %o`, err);
+                finish("failed", code, err.message);
+            });
+        });
+        return job;
+    }
+
+    /**
+     * Get a job of an app
+     * @param {string} appName - Name of the app
+     * @param {string} jobId - Id of the job
+     * @returns {Object|null} - The job or null if it does not exist (or is too old)
+     */
+    getJob(appName, jobId) {
+        const job = this.jobs.get(jobId);
+        return job && job.appName === appName ? job : null;
+    }
+
+    /**
+     * List the jobs of an app (running and recently finished)
+     * @param {string} appName - Name of the app
+     * @returns {Array<Object>} - The jobs
+     */
+    listJobs(appName) {
+        return [...this.jobs.values()].filter(job => job.appName === appName);
+    }
+
+    /**
+     * Stop a running job (SIGTERM, then SIGKILL if npm does not stop)
+     * @param {Object} job - The job
+     * @returns {boolean} - False if the job was already finished
+     */
+    cancel(job) {
+        if (job.status !== "running" || job.child.exitCode !== null) {
+            return false;
+        }
+        job.cancelled = true;
+        job.child.kill("SIGTERM");
+        job.killTimeout = setTimeout(() => job.child.kill("SIGKILL"), CANCEL_KILL_DELAY);
+        return true;
+    }
+
+    /**
+     * Send the output of a job as Server-Sent Events : the output already produced, then the live output
+     * (event output, data {stream, text}) until the end of the job (event end, data: the job)
+     * @param {Object} job - The job
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    stream(job, req, res) {
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        // disable proxy buffering (nginx)
+        res.setHeader('X-Accel-Buffering', 'no');
+        res.flushHeaders();
+
+        if (job.output) {
+            res.write(`event: output\ndata: ${JSON.stringify({ stream: "all", text: job.output })}\n\n`);
+        }
+        if (job.status !== "running") {
+            res.write(`event: end\ndata: ${JSON.stringify(this.toJSON(job))}\n\n`);
+            return res.end();
+        }
+
+        const onOutput = (output) => res.write(`event: output\ndata: ${JSON.stringify(output)}\n\n`);
+        const onEnd = (result) => {
+            res.write(`event: end\ndata: ${JSON.stringify(result)}\n\n`);
+            res.end();
+        };
+        const heartbeat = setInterval(() => res.write(`: heartbeat\n\n`), HEARTBEAT_INTERVAL);
+        job.events.on("output", onOutput);
+        job.events.once("end", onEnd);
+        res.on('close', () => {
+            clearInterval(heartbeat);
+            job.events.off("output", onOutput);
+            job.events.off("end", onEnd);
+        });
+    }
+
+    /**
+     * Public description of a job
+     * @param {Object} job - The job
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.withOutput=false] - Include the output
+     * @returns {Object} - {id, action, packages, command, status, exitCode, error, startedAt, endedAt, output}
+     */
+    toJSON(job, { withOutput = false } = {}) {
+        const { id, action, packages, command, status, exitCode, error, startedAt, endedAt, result } = job;
+        return { id, action, packages, command, status, exitCode, error, startedAt, endedAt, result, output: withOutput ? job.output : undefined };
+    }
+}
@@ -0,0 +1,29 @@
+import { parentPort, workerData } from 'worker_threads';
+import { applyReplacementsInText, previewReplace, searchFiles } from './search.mjs';
+import { loadIgnoreRules } from './ignore-rules.mjs';
+
+// worker of runSearchTasks (search.mjs)
+
+const TASKS = { searchFiles, previewReplace, applyReplacementsInText };
+
+async function runTask({ name, args }) {
+    if (!TASKS[name]) {
+        throw new Error(`Unknown search task ${name}`);
+    }
+    if (name === "searchFiles" || name === "previewReplace") {
+        // a function can't be sent to a worker, the ignore rules are loaded here
+        const [baseDir, { ignoreRules, ...options }] = args;
+        return await TASKS[name](baseDir, { ...options, isIgnored: ignoreRules ? await loadIgnoreRules(baseDir, ignoreRules) : undefined });
+    }
+    return await TASKS[name](...args);
+}
+
+try {
+    const results = [];
+    for (const task of workerData.tasks) {
+        results.push(await runTask(task));
+    }
+    parentPort.postMessage({ results });
+} catch (err) {
+    parentPort.postMessage({ error: { message: err.message, statusCode: err.statusCode } });
+}
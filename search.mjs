@@ -0,0 +1,367 @@
+import { readFile, readdir, stat } from 'fs/promises'
+import path from 'path';
+import { Worker } from 'worker_threads';
+import { minimatch } from 'minimatch';
+
+const DEFAULT_MAX_RESULTS = 1000;
+const DEFAULT_CONTEXT_LINES = 2;
+// files bigger than this are not searched
+const MAX_SEARCHED_FILE_SIZE = 2 * 1024 * 1024;
+// number of bytes checked to detect a binary file (same heuristic as git)
+const BINARY_CHECK_LENGTH = 8000;
+// maximum time (ms) of a search, the worker running a too slow regular expression is stopped
+const SEARCH_TIMEOUT = Number(process.env.SEARCH_TIMEOUT) || 10000;
+const MAX_REGEX_LENGTH = 1000;
+
+/**
+ * Check if an unbounded quantifier (*, +, {n,}) starts at a position of a regular expression source
+ */
+function isUnboundedQuantifierAt(source, index) {
+    return source[index] === '*' || source[index] === '+' || /^\{\d+,\}/.test(source.substring(index, index + 12));
+}
+
+/**
+ * Quick check of the regular expressions known to take an exponential time : a repeated group containing
+ * a repetition, like (a+)+ or (\w*\s?)*. The other slow expressions are stopped by the search timeout
+ * @param {string} source - Source of the regular expression
+ * @returns {boolean} - True if the expression has nested unbounded repetitions
+ */
+export function hasNestedRepetition(source) {
+    // for each open group : does it contain an unbounded repetition
+    const groups = [{ repeated: false }];
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (char === '\\') {
+            i++;
+            if (isUnboundedQuantifierAt(source, i + 1)) {
+                groups[groups.length - 1].repeated = true;
+            }
+        } else if (char === '[') {
+            // skip the character class
+            i++;
+            while (i < source.length && source[i] !== ']') {
+                i += source[i] === '\\' ? 2 : 1;
+            }
+            if (isUnboundedQuantifierAt(source, i + 1)) {
+                groups[groups.length - 1].repeated = true;
+            }
+        } else if (char === '(') {
+            groups.push({ repeated: false });
+        } else if (char === ')' && groups.length > 1) {
+            const group = groups.pop();
+            const groupRepeated = isUnboundedQuantifierAt(source, i + 1);
+            if (group.repeated && groupRepeated) {
+                return true;
+            }
+            if (group.repeated || groupRepeated) {
+                groups[groups.length - 1].repeated = true;
+            }
+        } else if (isUnboundedQuantifierAt(source, i)) {
+            groups[groups.length - 1].repeated = true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Build the regular expression corresponding to the search options
+ * @param {Object} options - Search options
+ * @param {string} options.query - Text or regular expression to search
+ * @param {boolean} [options.regex=false] - The query is a regular expression
+ * @param {boolean} [options.caseSensitive=false] - Case sensitive search
+ * @param {boolean} [options.wholeWord=false] - Match whole words only
+ * @returns {RegExp} - The global regular expression
+ * @throws {Error} If the regular expression is invalid or may take too long (statusCode 400)
+ */
+export function buildSearchRegExp({query, regex = false, caseSensitive = false, wholeWord = false}) {
+    if (regex && (query.length > MAX_REGEX_LENGTH || hasNestedRepetition(query))) {
+        const error = new Error(query.length > MAX_REGEX_LENGTH ? "Regular expression too long" 
+            : "Regular expression with nested repetitions like (a+)+, it could take too long");
+        error.statusCode = 400;
+        throw error;
+    }
+    let source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (wholeWord) {
+        source = `\\b(?:${source})\\b`;
+    }
+    try {
+        return new RegExp(source, caseSensitive ? 'gu' : 'giu');
+    } catch (err) {
+        const error = new Error(err.message);
+        error.statusCode = 400;
+        throw error;
+    }
+}
+
+/**
+ * Check if a buffer looks like binary content
+ * @param {Buffer} buffer - File content
+ * @returns {boolean} - True if the buffer contains a NUL byte in its first bytes
+ */
+export function isBinaryContent(buffer) {
+    return buffer.subarray(0, BINARY_CHECK_LENGTH).includes(0);
+}
+
+/**
+ * Find all the matches of a regular expression in a text, line by line
+ * @param {string} text - Text to search in
+ * @param {RegExp} searchRegExp - Global regular expression (see buildSearchRegExp)
+ * @param {Object} [options] - Options
+ * @param {number} [options.contextLines=2] - Number of lines to return before and after each match
+ * @param {number} [options.limit=Infinity] - Maximum number of matches to return
+ * @returns {Array} - Array of {line, column, length, matchText, groups, lineText, before, after}, line and column are 1-based
+ */
+export function findMatchesInText(text, searchRegExp, { contextLines = DEFAULT_CONTEXT_LINES, limit = Infinity } = {}) {
+    const lines = text.split(/\r?\n/);
+    const matches = [];
+    for (let i = 0; i < lines.length && matches.length < limit; i++) {
+        const lineText = lines[i];
+        searchRegExp.lastIndex = 0;
+        let match;
+        while ((match = searchRegExp.exec(lineText)) !== null) {
+            if (match[0].length === 0) {
+                // avoid infinite loop on empty matches
+                searchRegExp.lastIndex++;
+                continue;
+            }
+            matches.push({
+                line: i + 1,
+                column: match.index + 1,
+                length: match[0].length,
+                matchText: match[0],
+                groups: match.slice(1),
+                namedGroups: match.groups,
+                lineText,
+                before: lines.slice(Math.max(0, i - contextLines), i),
+                after: lines.slice(i + 1, i + 1 + contextLines)
+            });
+            if (matches.length >= limit) {
+                break;
+            }
+        }
+    }
+    return matches;
+}
+
+/**
+ * Normalize a list of globs given as an array or a comma separated string
+ * @param {string|Array<string>} globs - Globs
+ * @returns {Array<string>} - List of globs
+ */
+export function toGlobList(globs) {
+    if (!globs) {
+        return [];
+    }
+    if (!Array.isArray(globs)) {
+        globs = String(globs).split(',');
+    }
+    return globs.map(g => g.trim()).filter(g => g);
+}
+
+/**
+ * Check if a path matches one of the globs (globs without "/" match the file name in any directory)
+ * @param {string} relativePath - Path with "/" separators
+ * @param {Array<string>} globs - Globs
+ * @returns {boolean} - True if one of the globs matches
+ */
+export function matchesAnyGlob(relativePath, globs) {
+    return globs.some(glob => minimatch(relativePath, glob, { dot: true, matchBase: !glob.includes('/') }));
+}
+
+/**
+ * Search a text or a regular expression in all the files of a directory
+ * @param {string} baseDir - Directory to search in
+ * @param {Object} options - Search options (see buildSearchRegExp for query options)
+ * @param {string|Array<string>} [options.include] - Globs of the files to search in
+ * @param {string|Array<string>} [options.exclude] - Globs of the files to skip
+ * @param {function} [options.isIgnored] - isIgnored(relativePath, isDirectory) returns true for the files that are never searched (see loadIgnoreRules)
+ * @param {number} [options.maxResults=1000] - Maximum number of matches to return
+ * @param {number} [options.contextLines=2] - Number of lines of context around each match
+ * @returns {Promise<Object>} - {files: [{path, matches}], matchCount, truncated}
+ */
+export async function searchFiles(baseDir, options) {
+    const searchRegExp = buildSearchRegExp(options);
+    const include = toGlobList(options.include);
+    const exclude = toGlobList(options.exclude);
+    const isIgnored = options.isIgnored ?? (() => false);
+    const maxResults = Number(options.maxResults) || DEFAULT_MAX_RESULTS;
+    const contextLines = options.contextLines !== undefined ? Number(options.contextLines) : DEFAULT_CONTEXT_LINES;
+
+    const files = [];
+    let matchCount = 0;
+    let truncated = false;
+
+    const searchDir = async (dir) => {
+        const list = (await readdir(dir)).sort();
+        for (const file of list) {
+            if (truncated) {
+                return;
+            }
+            const filePath = path.join(dir, file);
+            const relativePath = path.relative(baseDir, filePath).split(path.sep).join('/');
+            if (matchesAnyGlob(relativePath, exclude)) {
+                continue;
+            }
+            const statFile = await stat(filePath);
+            if (isIgnored(relativePath, statFile.isDirectory())) {
+                continue;
+            }
+            if (statFile.isDirectory()) {
+                await searchDir(filePath);
+                continue;
+            }
+            if (include.length > 0 && !matchesAnyGlob(relativePath, include)) {
+                continue;
+            }
+            if (statFile.size > MAX_SEARCHED_FILE_SIZE) {
+                continue;
+            }
+            const content = await readFile(filePath);
+            if (isBinaryContent(content)) {
+                continue;
+            }
+            const matches = findMatchesInText(content.toString('utf-8'), searchRegExp, {
+                contextLines,
+                limit: maxResults - matchCount + 1
+            });
+            if (matchCount + matches.length > maxResults) {
+                matches.splice(maxResults - matchCount);
+                truncated = true;
+            }
+            if (matches.length > 0) {
+                matchCount += matches.length;
+                files.push({ path: relativePath, matches });
+            }
+        }
+    };
+    await searchDir(baseDir);
+
+    return { files, matchCount, truncated };
+}
+
+/**
+ * Compute the replacement text of a match, expanding $&, $1..$99, $<name> and $$ like String.replace
+ * @param {string} replacement - Replacement template
+ * @param {Object} match - Match as returned by findMatchesInText
+ * @returns {string} - The replacement text
+ */
+export function expandReplacement(replacement, match) {
+    return replacement.replace(/\$(\$|&|\d{1,2}|<([^>]*)>)/g, (token, ref, groupName) => {
+        if (ref === '$') {
+            return '$';
+        }
+        if (ref === '&') {
+            return match.matchText;
+        }
+        if (groupName !== undefined) {
+            return match.namedGroups?.[groupName] ?? '';
+        }
+        const index = Number(ref);
+        if (index >= 1 && index <= match.groups.length) {
+            return match.groups[index - 1] ?? '';
+        }
+        return token;
+    });
+}
+
+/**
+ * Compute the replacements of a search in all the files of a directory, without modifying anything
+ * @param {string} baseDir - Directory to search in
+ * @param {Object} options - Search options (see searchFiles)
+ * @param {string} options.replacement - Replacement text (may contain $1... references in regex mode)
+ * @returns {Promise<Object>} - {files: [{path, replacements}], matchCount, truncated}
+ */
+export async function previewReplace(baseDir, options) {
+    const result = await searchFiles(baseDir, { ...options, contextLines: 0 });
+    return {
+        files: result.files.map(file => ({
+            path: file.path,
+            replacements: file.matches.map(match => ({
+                line: match.line,
+                column: match.column,
+                length: match.length,
+                lineText: match.lineText,
+                matchText: match.matchText,
+                replacementText: options.regex ? expandReplacement(options.replacement, match) : options.replacement
+            }))
+        })),
+        matchCount: result.matchCount,
+        truncated: result.truncated
+    };
+}
+
+/**
+ * Apply the selected replacements in a text
+ * @param {string} text - Text to modify
+ * @param {Object} options - Search options (see buildSearchRegExp)
+ * @param {string} options.replacement - Replacement text
+ * @param {Array<Object>} options.selected - Matches to replace, as {line, column} (1-based)
+ * @returns {Object} - {content, applied: [{line, column}], skipped: [{line, column}]}, skipped lists the selected matches that are not found anymore
+ */
+export function applyReplacementsInText(text, options) {
+    const searchRegExp = buildSearchRegExp(options);
+    const selectedKeys = new Set(options.selected.map(s => `${s.line}:${s.column}`));
+    // split keeping the line separators to rebuild the text as is
+    const parts = text.split(/(\r?\n)/);
+    const applied = [];
+    for (let i = 0; i < parts.length; i += 2) {
+        const lineNumber = i / 2 + 1;
+        const matches = findMatchesInText(parts[i], searchRegExp, { contextLines: 0 })
+            .filter(match => selectedKeys.has(`${lineNumber}:${match.column}`));
+        let lineText = parts[i];
+        // replace from the end so the columns of the previous matches stay valid
+        for (const match of matches.reverse()) {
+            const replacementText = options.regex ? expandReplacement(options.replacement, match) : options.replacement;
+            lineText = lineText.substring(0, match.column - 1) + replacementText + lineText.substring(match.column - 1 + match.length);
+            applied.push({ line: lineNumber, column: match.column });
+        }
+        parts[i] = lineText;
+    }
+    const appliedKeys = new Set(applied.map(a => `${a.line}:${a.column}`));
+    return {
+        content: parts.join(''),
+        applied,
+        skipped: options.selected.filter(s => !appliedKeys.has(`${s.line}:${s.column}`))
+    };
+}
+
+/**
+ * Run search functions of this module in a worker thread, so a slow regular expression never blocks the server :
+ * the worker is stopped when it takes more than the time budget
+ * @param {Array<Object>} tasks - {name, args} where name is searchFiles, previewReplace or applyReplacementsInText.
+ *  The arguments are sent to the worker so they must be plain data, for searchFiles and previewReplace give
+ *  options.ignoreRules (the options of loadIgnoreRules) instead of options.isIgnored
+ * @param {Object} [options] - Options
+ * @param {number} [options.timeout] - Time budget (ms) of all the tasks (default SEARCH_TIMEOUT env or 10s)
+ * @returns {Promise<Array>} - The results of the tasks
+ * @throws {Error} If a task fails (with its statusCode) or the time budget is exceeded (statusCode 408)
+ */
+export function runSearchTasks(tasks, { timeout = SEARCH_TIMEOUT } = {}) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(new URL('./search-worker.mjs', import.meta.url), { workerData: { tasks } });
+        const timer = setTimeout(() => {
+            worker.terminate();
+            const error = new Error(`The search takes more than ${timeout / 1000}s, use a more specific query`);
+            error.statusCode = 408;
+            reject(error);
+        }, timeout);
+        worker.once('message', (message) => {
+            clearTimeout(timer);
+            if (message.error) {
+                const error = new Error(message.error.message);
+                error.statusCode = message.error.statusCode;
+                return reject(error);
+            }
+            resolve(message.results);
+        });
+        worker.once('error', (err) => {
+            clearTimeout(timer);
+            reject(err);
+        });
+        worker.once('exit', (code) => {
+            clearTimeout(timer);
+            // no effect when the worker already answered
+            reject(new Error(`Search worker stopped with code ${code}`));
+        });
+    });
+}
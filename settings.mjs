@@ -0,0 +1,144 @@
+import { readFile, writeFile, rename } from 'fs/promises';
+import { mkdirs } from 'fs-extra/esm';
+import path from 'path';
+
+const SETTINGS_FILE = "code-editor-settings.json";
+
+// settings of an app and their default value, the other keys are refused
+const DEFAULT_SETTINGS = {
+    // directory (public or branch name) -> true when the saves are not committed automatically
+    draftMode: {},
+    // format the saved files with the formatter registered for their type (codeTools plugin slot)
+    formatOnSave: false,
+    // id of an editor (codeEditors plugin slot) -> false when the editor is disabled in the app
+    codeEditors: {}
+};
+
+// settings keyed by directory (public or branch name), they follow the branch when it is renamed
+const BRANCH_SETTINGS = ["draftMode"];
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isBooleanMap = (value) => isPlainObject(value) && Object.values(value).every(v => typeof v === "boolean");
+
+const SETTINGS_VALIDATORS = {
+    draftMode: isBooleanMap,
+    formatOnSave: (value) => typeof value === "boolean",
+    codeEditors: isBooleanMap
+};
+
+// appName -> promise of the last update, the updates of an app are done one after the other
+const pendingUpdates = new Map();
+
+function getSettingsPath(appName) {
+    // outside of the worktrees so the settings are never committed nor exported
+    return path.join(process.env.DATA_DIR, "apps", appName, SETTINGS_FILE);
+}
+
+/**
+ * Read the code editor settings of an app
+ * @param {string} appName - Name of the app
+ * @returns {Promise<Object>} - The settings, with the default values for the settings never set
+ */
+export async function readAppSettings(appName) {
+    try {
+        const settings = JSON.parse(await readFile(getSettingsPath(appName), "utf-8"));
+        return { ...structuredClone(DEFAULT_SETTINGS), ...settings };
+    } catch (err) {
+        if (err.code === "ENOENT") {
+            return structuredClone(DEFAULT_SETTINGS);
+        }
+        throw err;
+    }
+}
+
+/**
+ * Modify some settings of an app, the object settings are merged with their current value
+ * @param {string} appName - Name of the app
+ * @param {Object} changes - Settings to modify
+ * @returns {Promise<Object>} - All the settings after the modification
+ * @throws {Error} If a setting is unknown or has an invalid value (statusCode 400)
+ */
+export async function updateAppSettings(appName, changes) {
+    if (!isPlainObject(changes)) {
+        const error = new Error("Invalid settings");
+        error.statusCode = 400;
+        throw error;
+    }
+    for (const [key, value] of Object.entries(changes)) {
+        if (!SETTINGS_VALIDATORS[key]) {
+            const error = new Error(`Unknown setting ${key}`);
+            error.statusCode = 400;
+            throw error;
+        }
+        if (!SETTINGS_VALIDATORS[key](value)) {
+            const error = new Error(`Invalid value for setting ${key}`);
+            error.statusCode = 400;
+            throw error;
+        }
+    }
+
+    return await queueUpdate(appName, (settings) => {
+        for (const [key, value] of Object.entries(changes)) {
+            settings[key] = isPlainObject(value) ? { ...settings[key], ...value } : value;
+        }
+    });
+}
+
+/**
+ * Move the settings of a branch (draft mode) to its new name, or remove them when the branch is deleted
+ * @param {string} appName - Name of the app
+ * @param {string} branchName - Name of the branch
+ * @param {string|null} newBranchName - New name of the branch, null to remove its settings
+ * @returns {Promise<Object>} - All the settings after the modification
+ */
+export async function moveBranchSettings(appName, branchName, newBranchName) {
+    return await queueUpdate(appName, (settings) => {
+        for (const key of BRANCH_SETTINGS) {
+            if (!(branchName in settings[key])) {
+                continue;
+            }
+            if (newBranchName) {
+                settings[key][newBranchName] = settings[key][branchName];
+            }
+            delete settings[key][branchName];
+        }
+    });
+}
+
+/**
+ * Modify the settings of an app after the previous modifications
+ * @param {string} appName - Name of the app
+ * @param {function} modify - Modify the settings object given
+ * @returns {Promise<Object>} - All the settings after the modification
+ */
+async function queueUpdate(appName, modify) {
+    const update = (pendingUpdates.get(appName) ?? Promise.resolve()).catch(() => {}).then(async () => {
+        const settings = await readAppSettings(appName);
+        modify(settings);
+        // write in a temporary file first so a crash never leaves a truncated file
+        const settingsPath = getSettingsPath(appName);
+        await mkdirs(path.dirname(settingsPath));
+        await writeFile(settingsPath + ".tmp", JSON.stringify(settings, null, 4));
+        await rename(settingsPath + ".tmp", settingsPath);
+        return settings;
+    });
+    pendingUpdates.set(appName, update);
+    try {
+        return await update;
+    } finally {
+        if (pendingUpdates.get(appName) === update) {
+            pendingUpdates.delete(appName);
+        }
+    }
+}
+
+/**
+ * Check if the saves of an app directory stay uncommitted until an explicit commit
+ * @param {string} appName - Name of the app
+ * @param {string} dir - public or name of the branch
+ * @returns {Promise<boolean>} - True in draft mode
+ */
+export async function isDraftMode(appName, dir) {
+    return (await readAppSettings(appName)).draftMode[dir] === true;
+}
@@ -0,0 +1,68 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile } from 'fs/promises';
+import { mkdirs, remove } from 'fs-extra/esm';
+import os from 'os';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import { AutoCommitWatcher } from '../auto-commit.mjs';
+import { commitAllChanges } from '../git.mjs';
+
+let dataDir;
+let watcher;
+
+const createApp = async (appName, { ssh }) => {
+    const basePath = path.join(dataDir, "apps", appName, "public");
+    await mkdirs(basePath);
+    await writeFile(path.join(basePath, ".gitignore"), "build/\n");
+    await commitAllChanges(basePath, { commitMessage: "init", authorName: "test", authorEmail: "test@localhost" });
+    if (ssh) {
+        await mkdirs(path.join(dataDir, "apps", appName, ".ssh"));
+    }
+    return basePath;
+};
+
+beforeEach(async () => {
+    dataDir = await mkdtemp(path.join(os.tmpdir(), "code-editor-auto-commit-"));
+});
+
+afterEach(async () => {
+    watcher?.stop();
+    watcher = null;
+    await remove(dataDir);
+});
+
+test("only the apps having an SSH user are watched", async () => {
+    const sshApp = await createApp("ssh-app", { ssh: true });
+    await createApp("other-app", { ssh: false });
+    watcher = new AutoCommitWatcher({ dataDir, onCommitted: async () => {} });
+
+    await watcher.scan();
+
+    assert.deepEqual([...watcher.worktrees.keys()], [sshApp]);
+});
+
+test("the modifications of the ignored directories do not trigger a commit", async () => {
+    const basePath = await createApp("app", { ssh: true });
+    const commits = [];
+    watcher = new AutoCommitWatcher({ dataDir, delay: 50, onCommitted: async (commit) => { commits.push(commit); } });
+    const scheduled = [];
+    const schedule = watcher.schedule.bind(watcher);
+    watcher.schedule = (scheduledPath) => {
+        scheduled.push(scheduledPath);
+        schedule(scheduledPath);
+    };
+    await watcher.start();
+
+    await mkdirs(path.join(basePath, "build"));
+    await writeFile(path.join(basePath, "build", "out.js"), "built\n");
+    await sleep(500);
+    assert.deepEqual(scheduled, []);
+
+    await writeFile(path.join(basePath, "a.txt"), "edited through SSH\n");
+    for (let i = 0; i < 50 && commits.length === 0; i++) {
+        await sleep(100);
+    }
+    assert.equal(commits.length, 1);
+    assert.deepEqual(commits[0].files.map(file => file.path), ["a.txt"]);
+});
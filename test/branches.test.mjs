@@ -0,0 +1,50 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFile } from 'fs/promises';
+import { remove } from 'fs-extra/esm';
+import path from 'path';
+import { simpleGit } from 'simple-git';
+import { commitAllChanges } from '../git.mjs';
+import { readAppSettings } from '../settings.mjs';
+import { postJson, saveFile, startFileApi } from './helpers/file-api-server.mjs';
+
+let api;
+
+afterEach(async () => {
+    await api?.close();
+    api = null;
+});
+
+test("the draft mode of a branch follows its renaming", async () => {
+    api = await startFileApi();
+    await saveFile(api.url, "app", "a.txt", "one\n");
+    await postJson(`${api.url}/createBranch/app/`, { branch: "feature" });
+    await postJson(`${api.url}/settings/app`, { draftMode: { feature: true } });
+
+    const response = await postJson(`${api.url}/renameBranch/app/`, { branch: "feature", newName: "renamed" });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual((await readAppSettings("app")).draftMode, { renamed: true });
+});
+
+test("prune deletes the merged branches of the removed worktrees and reports the others", async () => {
+    api = await startFileApi();
+    await saveFile(api.url, "app", "a.txt", "one\n");
+    await postJson(`${api.url}/createBranch/app/`, { branch: "merged" });
+    await postJson(`${api.url}/createBranch/app/`, { branch: "work" });
+    const workPath = api.appPath("app", "branches/work");
+    await writeFile(path.join(workPath, "b.txt"), "not merged\n");
+    await commitAllChanges(workPath, { commitMessage: "work", authorName: "test", authorEmail: "test@localhost" });
+    await remove(api.appPath("app", "branches/merged"));
+    await remove(workPath);
+
+    const response = await postJson(`${api.url}/pruneBranches/app/`, {});
+
+    assert.equal(response.status, 200);
+    const result = await response.json();
+    assert.deepEqual(result.deletedBranches, ["merged"]);
+    assert.deepEqual(result.orphanBranches, ["work"]);
+    const branches = (await simpleGit(api.appPath("app")).raw(["branch", "--format=%(refname:short)"])).trim().split("\n");
+    assert.equal(branches.includes("merged"), false);
+    assert.equal(branches.includes("work"), true);
+});
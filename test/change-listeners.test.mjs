@@ -0,0 +1,152 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, writeFile, access } from 'fs/promises';
+import { remove } from 'fs-extra/esm';
+import os from 'os';
+import path from 'path';
+import { normalizeListeners, runBeforeHooks } from '../change-listeners.mjs';
+import { commitAllChanges, getFileContentAt, getHeadHash, getOperationInProgress, runOutsideRepoLock, withRepoLock } from '../git.mjs';
+import { postJson, saveFile, startFileApi } from './helpers/file-api-server.mjs';
+
+let api;
+
+afterEach(async () => {
+    await api?.close();
+    api = null;
+});
+
+test("the before hooks run by priority, a listener sees the content replaced by the previous ones", async () => {
+    const calls = [];
+    const listeners = normalizeListeners([
+        { name: "second", beforeSave: ({ newContent }) => { calls.push("second"); return { content: newContent.toString() + "!" }; } },
+        { name: "first", priority: 10, beforeSave: ({ newContent }) => { calls.push("first"); return { content: newContent.toString().toUpperCase() }; } },
+        () => calls.push("after only")
+    ]);
+
+    const content = await runBeforeHooks(listeners, { changeType: "save", newContent: Buffer.from("text") });
+
+    assert.deepEqual(calls, ["first", "second"]);
+    assert.equal(content.toString(), "TEXT!");
+});
+
+test("a rejection stops the chain with a 400", async () => {
+    let called = false;
+    const listeners = normalizeListeners([
+        { name: "guard", beforeDelete: () => ({ reject: "Protected file" }) },
+        { name: "next", beforeDelete: () => { called = true; } }
+    ]);
+
+    await assert.rejects(runBeforeHooks(listeners, { changeType: "delete" }), { statusCode: 400, message: "Protected file", listener: "guard" });
+    assert.equal(called, false);
+});
+
+test("a listener running outside the lock does not reenter it", async () => {
+    const repoPath = await mkdtemp(path.join(os.tmpdir(), "code-editor-lock-"));
+    try {
+        await withRepoLock(repoPath, async () => {
+            // inside the lock the call is reentrant, outside it waits for the lock like any other operation
+            assert.equal(await withRepoLock(repoPath, async () => "reentrant"), "reentrant");
+            await assert.rejects(runOutsideRepoLock(() => withRepoLock(repoPath, async () => "reentered", { timeout: 50 })), { statusCode: 503 });
+        });
+    } finally {
+        await remove(repoPath);
+    }
+});
+
+test("a revert refused by a listener is cancelled", async () => {
+    let refuse = false;
+    api = await startFileApi({ pluginSlots: { changesListeners: [
+        { name: "guard", beforeSave: ({ relativePath }) => refuse ? { reject: `${relativePath} is frozen` } : undefined }
+    ] } });
+    await saveFile(api.url, "app", "a.txt", "one\n");
+    await saveFile(api.url, "app", "a.txt", "two\n");
+    const head = await getHeadHash(api.appPath("app"));
+    refuse = true;
+
+    const response = await postJson(`${api.url}/git/revert/app`, { hash: head });
+
+    assert.equal(response.status, 400);
+    assert.deepEqual((await response.json()).rejections, [{ path: "a.txt", listener: "guard", message: "a.txt is frozen" }]);
+    assert.equal(await getHeadHash(api.appPath("app")), head);
+    assert.equal(await getOperationInProgress(api.appPath("app")), null);
+    assert.equal(await readFile(path.join(api.appPath("app"), "a.txt"), "utf-8"), "two\n");
+});
+
+test("a restore of the app commits the contents replaced by the listeners", async () => {
+    let transform = false;
+    api = await startFileApi({ pluginSlots: { changesListeners: [
+        { name: "upper", beforeSave: ({ newContent }) => transform ? { content: newContent.toString().toUpperCase() } : undefined }
+    ] } });
+    await saveFile(api.url, "app", "a.txt", "one\n");
+    const first = await getHeadHash(api.appPath("app"));
+    await saveFile(api.url, "app", "a.txt", "two\n");
+    transform = true;
+
+    const response = await postJson(`${api.url}/git/restoreApp/app`, { hash: first });
+
+    assert.equal(response.status, 200);
+    assert.equal(await readFile(path.join(api.appPath("app"), "a.txt"), "utf-8"), "ONE\n");
+});
+
+test("a merge commits the contents replaced by the listeners", async () => {
+    let transform = false;
+    api = await startFileApi({ pluginSlots: { changesListeners: [
+        { name: "upper", beforeSave: ({ newContent }) => transform ? { content: newContent.toString().toUpperCase() } : undefined }
+    ] } });
+    await saveFile(api.url, "app", "a.txt", "one\n");
+    await postJson(`${api.url}/createBranch/app/`, { branch: "feature" });
+    await writeFile(path.join(api.appPath("app", "branches/feature"), "b.txt"), "branch\n");
+    await commitAllChanges(api.appPath("app", "branches/feature"), { commitMessage: "add b" });
+    transform = true;
+
+    const response = await postJson(`${api.url}/git/merge/app`, { source: "feature" });
+
+    assert.equal(response.status, 200);
+    assert.equal((await getFileContentAt(api.appPath("app"), "HEAD", "b.txt")).toString(), "BRANCH\n");
+    assert.equal(await getOperationInProgress(api.appPath("app")), null);
+});
+
+test("the creation of a directory can be refused", async () => {
+    api = await startFileApi({ pluginSlots: { changesListeners: [
+        { name: "guard", beforeSave: ({ changeType }) => changeType === "createDir" ? { reject: "No directories" } : undefined }
+    ] } });
+
+    const response = await postJson(`${api.url}/files/app/createDir`, { path: "dir" });
+
+    assert.equal(response.status, 400);
+    assert.equal(await access(path.join(api.appPath("app"), "dir")).then(() => true, () => false), false);
+});
+
+test("an npm job refused by a listener does not start", async () => {
+    api = await startFileApi({ pluginSlots: { changesListeners: [
+        { name: "guard", beforeSave: ({ changeType, relativePath }) => changeType === "npm" ? { reject: `${relativePath} is managed elsewhere` } : undefined }
+    ] } });
+    await saveFile(api.url, "app", "package.json", "{}\n");
+
+    const response = await postJson(`${api.url}/addPackage/app`, { filePackage: "package.json", packageName: "lodash" });
+
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, "package.json is managed elsewhere");
+    assert.equal(await readFile(path.join(api.appPath("app"), "package.json"), "utf-8"), "{}\n");
+});
+
+test("the after hooks run once the repository is unlocked", async () => {
+    let hookDone;
+    const result = new Promise(resolve => { hookDone = resolve; });
+    let listening = false;
+    api = await startFileApi({ pluginSlots: { changesListeners: [
+        { name: "git", afterChange: async ({ basePath }) => {
+            if (!listening) { return; }
+            hookDone(await withRepoLock(basePath, async () => getHeadHash(basePath), { timeout: 500 }).catch(err => err));
+        } }
+    ] } });
+
+    // the first save creates the repository
+    await saveFile(api.url, "app", "a.txt", "one\n");
+    listening = true;
+
+    const response = await saveFile(api.url, "app", "a.txt", "two\n");
+
+    assert.equal(response.status, 200);
+    assert.equal(await result, await getHeadHash(api.appPath("app")));
+});
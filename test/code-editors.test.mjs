@@ -0,0 +1,83 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile } from 'fs/promises';
+import { remove } from 'fs-extra/esm';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { postJson, startFileApi } from './helpers/file-api-server.mjs';
+
+let api;
+let moduleDir;
+
+afterEach(async () => {
+    await api?.close();
+    api = null;
+    if (moduleDir) {
+        await remove(moduleDir);
+        moduleDir = null;
+    }
+});
+
+const MARKDOWN_EDITOR = { id: "my-plugin:markdown", plugin: "my-plugin", name: "Markdown", entryUrl: "/plugin/:appName/my-plugin/md.mjs", filePatterns: ["*.md"] };
+
+const importModule = async (js) => {
+    moduleDir = await mkdtemp(path.join(os.tmpdir(), "code-editor-module-"));
+    const modulePath = path.join(moduleDir, "editor-extensions.mjs");
+    await writeFile(modulePath, js);
+    return await import(pathToFileURL(modulePath).href);
+};
+
+test("the editors module imports the editors on demand", async () => {
+    api = await startFileApi({ pluginSlots: { codeEditors: [MARKDOWN_EDITOR] } });
+    await postJson(`${api.url}/settings/app`, { codeEditors: { "code-editor:file": false } });
+
+    const js = await (await fetch(`${api.url}/editor-extensions/app`)).text();
+    assert.doesNotMatch(js, /^\s*import\s/m);
+    const module = await importModule(js);
+
+    assert.deepEqual(module.default.map(editor => [editor.id, editor.entryUrl]), [
+        ["code-editor:package-json", "/plugin/app/code-editor/js/code-editor-package/code-editor-package-json.mjs"],
+        ["code-editor:monaco", "/plugin/app/code-editor/js/code-editor-monaco.mjs"],
+        ["my-plugin:markdown", "/plugin/app/my-plugin/md.mjs"]
+    ]);
+    const editor = { id: "stub", plugin: "my-plugin", name: "Stub", entryUrl: "data:text/javascript,export default { mount: 'stub' }" };
+    assert.deepEqual(await module.loadEditor(editor), { id: "stub", plugin: "my-plugin", name: "Stub", mount: "stub" });
+    assert.equal(module.loadEditor(editor), module.loadEditor(editor));
+});
+
+test("the eager editors module gives the array of the enabled editors, all imported", async () => {
+    api = await startFileApi({ pluginSlots: { codeEditors: [MARKDOWN_EDITOR] } });
+    await postJson(`${api.url}/settings/app`, { codeEditors: { "code-editor:file": false } });
+
+    const js = await (await fetch(`${api.url}/editor-extensions/app/eager`)).text();
+
+    // the modules of the editors are replaced by stubs giving their URL
+    const module = await importModule(js.replace(/from "(\/plugin\/[^"]+)"/g,
+        (match, url) => `from "data:text/javascript,export default { entry: '${url}' }"`));
+
+    assert.deepEqual(module.default.map(editor => [editor.id, editor.plugin, editor.entry]), [
+        ["code-editor:package-json", "code-editor", "/plugin/app/code-editor/js/code-editor-package/code-editor-package-json.mjs"],
+        ["code-editor:monaco", "code-editor", "/plugin/app/code-editor/js/code-editor-monaco.mjs"],
+        ["my-plugin:markdown", "my-plugin", "/plugin/app/my-plugin/md.mjs"]
+    ]);
+});
+
+test("the manifest of a file only lists the enabled editors handling it", async () => {
+    api = await startFileApi({ pluginSlots: { codeEditors: [MARKDOWN_EDITOR] } });
+    await postJson(`${api.url}/settings/app`, { codeEditors: { "code-editor:monaco": false } });
+
+    const manifest = await (await fetch(`${api.url}/editors/app?path=docs/readme.md`)).json();
+
+    assert.deepEqual(manifest.map(editor => editor.id), ["my-plugin:markdown", "code-editor:file"]);
+});
+
+test("only the admins of the app modify its settings", async () => {
+    api = await startFileApi({ admin: false });
+
+    const response = await postJson(`${api.url}/settings/app`, { codeEditors: { "code-editor:monaco": false } });
+
+    assert.equal(response.status, 403);
+    const manifest = await (await fetch(`${api.url}/editors/app`)).json();
+    assert.equal(manifest.find(editor => editor.id === "code-editor:monaco").enabled, true);
+});
@@ -0,0 +1,59 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, writeFile, access } from 'fs/promises';
+import { remove } from 'fs-extra/esm';
+import os from 'os';
+import path from 'path';
+import { commitAllChanges, discardFiles, getUncommittedChanges, initGitIfNotExists, moveWithHistory } from '../git.mjs';
+
+let repoPath;
+
+const exists = (filePath) => access(path.join(repoPath, filePath)).then(() => true, () => false);
+
+beforeEach(async () => {
+    repoPath = await mkdtemp(path.join(os.tmpdir(), "code-editor-draft-"));
+    await initGitIfNotExists(repoPath);
+    await writeFile(path.join(repoPath, "a.txt"), "one\n");
+    await writeFile(path.join(repoPath, "b.txt"), "first\nsecond\n");
+    await commitAllChanges(repoPath, { commitMessage: "init", authorName: "test", authorEmail: "test@localhost" });
+});
+
+afterEach(async () => {
+    await remove(repoPath);
+});
+
+test("discard restores modified files and removes new files", async () => {
+    await writeFile(path.join(repoPath, "a.txt"), "changed\n");
+    await writeFile(path.join(repoPath, "new.txt"), "new\n");
+
+    const discarded = await discardFiles(repoPath, ["a.txt", "new.txt"]);
+
+    assert.deepEqual(discarded.map(file => file.type).sort(), ["added", "modified"]);
+    assert.equal(await readFile(path.join(repoPath, "a.txt"), "utf-8"), "one\n");
+    assert.equal(await exists("new.txt"), false);
+    assert.deepEqual(await getUncommittedChanges(repoPath), []);
+});
+
+test("discard of a file moved then edited gives back the previous file", async () => {
+    await moveWithHistory(repoPath, "a.txt", "moved.txt");
+    await writeFile(path.join(repoPath, "moved.txt"), "edited after the move\n");
+
+    const discarded = await discardFiles(repoPath, ["moved.txt"]);
+
+    assert.deepEqual(discarded, [{ path: "moved.txt", previousPath: "a.txt", type: "renamed" }]);
+    assert.equal(await exists("moved.txt"), false);
+    assert.equal(await readFile(path.join(repoPath, "a.txt"), "utf-8"), "one\n");
+    assert.deepEqual(await getUncommittedChanges(repoPath), []);
+});
+
+test("the stats of a file moved then edited compare with its previous content", async () => {
+    await moveWithHistory(repoPath, "b.txt", "moved.txt");
+    await writeFile(path.join(repoPath, "moved.txt"), "first\nchanged\nthird\n");
+
+    const [file] = await getUncommittedChanges(repoPath);
+
+    assert.equal(file.type, "renamed");
+    assert.equal(file.previousPath, "b.txt");
+    assert.equal(file.insertions, 2);
+    assert.equal(file.deletions, 1);
+});
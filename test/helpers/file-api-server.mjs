@@ -0,0 +1,75 @@
+import express from 'express';
+import { mkdtemp } from 'fs/promises';
+import { remove } from 'fs-extra/esm';
+import os from 'os';
+import path from 'path';
+import { initFileApi } from '../../file-api.mjs';
+
+/**
+ * Start the file API on a random port, with a temporary DATA_DIR and no access control
+ * @param {Object} [options] - Options
+ * @param {Object} [options.pluginSlots] - Plugin slots of the code editor (changesListeners, codeTools, codeEditors)
+ * @param {boolean} [options.admin=true] - The user is an admin of the apps
+ * @returns {Promise<Object>} - {url, dataDir, appPath(appName, dir), close()}
+ */
+export async function startFileApi({ pluginSlots = {}, admin = true } = {}) {
+    const dataDir = await mkdtemp(path.join(os.tmpdir(), "code-editor-api-"));
+    process.env.DATA_DIR = dataDir;
+    process.env.SSH_AUTO_COMMIT = "false";
+
+    const app = express();
+    app.use(express.json());
+    const router = express.Router();
+    const logger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+    initFileApi({
+        router,
+        logger,
+        contextOfApp: async () => ({ pluginsData: { "code-editor": { pluginSlots } } }),
+        graphql: {
+            checkAppAccessMiddleware: async () => true,
+            checkAppAdminMiddleware: async (req, res) => {
+                if (!admin) {
+                    res.status(403).json({ error: "Not an admin" });
+                }
+                return admin;
+            }
+        }
+    });
+    app.use(router);
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+    });
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        dataDir,
+        appPath: (appName, dir = "public") => path.join(dataDir, "apps", appName, dir),
+        close: async () => {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+            await remove(dataDir);
+        }
+    };
+}
+
+/**
+ * Save a file through the save route
+ * @returns {Promise<Response>} - The fetch response
+ */
+export async function saveFile(url, appName, filePath, content, fields = {}) {
+    const form = new FormData();
+    form.append("path", filePath);
+    for (const [name, value] of Object.entries(fields)) {
+        form.append(name, value);
+    }
+    form.append("file", new Blob([content]), path.basename(filePath));
+    return await fetch(`${url}/files/${appName}/save`, { method: "POST", body: form });
+}
+
+/**
+ * POST a JSON body
+ * @returns {Promise<Response>} - The fetch response
+ */
+export async function postJson(url, body) {
+    return await fetch(url, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+}
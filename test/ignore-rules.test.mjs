@@ -0,0 +1,97 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile } from 'fs/promises';
+import { mkdirs, remove } from 'fs-extra/esm';
+import os from 'os';
+import path from 'path';
+import { simpleGit } from 'simple-git';
+import { loadIgnoreRules } from '../ignore-rules.mjs';
+import { commitAllChanges } from '../git.mjs';
+
+let basePath;
+
+const write = async (relativePath, content) => {
+    await mkdirs(path.dirname(path.join(basePath, relativePath)));
+    await writeFile(path.join(basePath, relativePath), content);
+};
+
+beforeEach(async () => {
+    basePath = await mkdtemp(path.join(os.tmpdir(), "code-editor-ignore-"));
+});
+
+afterEach(async () => {
+    await remove(basePath);
+});
+
+test("the .editorignore overrides the .gitignore and the defaults", async () => {
+    await write(".gitignore", "dist/\n*.log\n");
+    await write(".editorignore", "!debug.log\nsecret.txt\n");
+
+    const isIgnored = await loadIgnoreRules(basePath);
+
+    assert.equal(isIgnored("dist", true), true);
+    assert.equal(isIgnored("dist/app.js"), true);
+    assert.equal(isIgnored("error.log"), true);
+    assert.equal(isIgnored("debug.log"), false);
+    assert.equal(isIgnored("secret.txt"), true);
+    assert.equal(isIgnored("node_modules", true), true);
+    assert.equal(isIgnored(".gitignore"), false);
+    assert.equal(isIgnored(".git", true), true);
+});
+
+test("the .gitignore of a sub directory applies to this directory only and overrides its parents", async () => {
+    await write(".gitignore", "*.tmp\n");
+    await write("front/.gitignore", "build/\n!keep.tmp\n");
+    await write("front/build/out.js", "");
+    // the rule files of the ignored directories are not read
+    await write("front/build/.gitignore", "!*\n");
+
+    const isIgnored = await loadIgnoreRules(basePath);
+
+    assert.equal(isIgnored("front/build", true), true);
+    assert.equal(isIgnored("front/build/out.js"), true);
+    assert.equal(isIgnored("build", true), false);
+    assert.equal(isIgnored("front/keep.tmp"), false);
+    assert.equal(isIgnored("front/other.tmp"), true);
+    assert.equal(isIgnored("back/keep.tmp"), true);
+});
+
+test("the listing of a sub directory only reads the .gitignore of its parents and of the listed levels", async () => {
+    await write(".gitignore", "*.log\n");
+    await write("front/.gitignore", "*.tmp\n");
+    await write("front/src/.gitignore", "generated/\n");
+    await write("front/src/deep/.gitignore", "local.txt\n");
+    await write("back/.gitignore", "*.txt\n");
+
+    const isIgnored = await loadIgnoreRules(basePath, { path: "front/src", depth: 1 });
+
+    assert.equal(isIgnored("front/src/a.log"), true);
+    assert.equal(isIgnored("front/src/a.tmp"), true);
+    assert.equal(isIgnored("front/src/generated", true), true);
+    assert.equal(isIgnored("front/src/a.txt"), false);
+    // deeper than the listed levels, front/src/deep/.gitignore is not read
+    assert.equal(isIgnored("front/src/deep/local.txt"), false);
+    assert.equal((await loadIgnoreRules(basePath, { path: "front/src", depth: 2 }))("front/src/deep/local.txt"), true);
+});
+
+test("showIgnored only hides the .git directory", async () => {
+    await write(".gitignore", "dist/\n");
+
+    const isIgnored = await loadIgnoreRules(basePath, { showIgnored: true });
+
+    assert.equal(isIgnored("dist", true), false);
+    assert.equal(isIgnored("node_modules", true), false);
+    assert.equal(isIgnored(".git/config"), true);
+});
+
+test("a committed file ignored afterwards stays in the repository", async () => {
+    await write("dist/app.js", "built\n");
+    await commitAllChanges(basePath, { commitMessage: "init", authorName: "test", authorEmail: "test@localhost" });
+    await write(".gitignore", "dist/\n");
+    await write("dist/other.js", "built\n");
+
+    await commitAllChanges(basePath, { commitMessage: "ignore dist", authorName: "test", authorEmail: "test@localhost" });
+
+    const tracked = (await simpleGit(basePath).raw(["ls-files"])).trim().split("\n");
+    assert.deepEqual(tracked.sort(), [".gitignore", "dist/app.js"]);
+});
@@ -0,0 +1,61 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile } from 'fs/promises';
+import { mkdirs, remove } from 'fs-extra/esm';
+import os from 'os';
+import path from 'path';
+import { inspectDependencies } from '../npm-deps.mjs';
+
+let projectDir;
+
+const writeJson = async (relativePath, content) => {
+    await mkdirs(path.dirname(path.join(projectDir, relativePath)));
+    await writeFile(path.join(projectDir, relativePath), JSON.stringify(content));
+};
+
+beforeEach(async () => {
+    projectDir = await mkdtemp(path.join(os.tmpdir(), "code-editor-deps-"));
+});
+
+afterEach(async () => {
+    await remove(projectDir);
+});
+
+test("the dependencies are compared with the installed packages", async () => {
+    await writeJson("package.json", {
+        name: "app", version: "1.0.0",
+        dependencies: { a: "^1.0.0", b: "^2.0.0", missing: "^1.0.0", git: "github:user/git" }
+    });
+    await writeJson("node_modules/a/package.json", { name: "a", version: "1.2.0", dependencies: { c: "^1.0.0" } });
+    await writeJson("node_modules/a/node_modules/c/package.json", { name: "c", version: "1.0.1" });
+    await writeJson("node_modules/b/package.json", { name: "b", version: "1.0.0" });
+    await writeJson("node_modules/git/package.json", { name: "git", version: "0.1.0" });
+    await writeJson("node_modules/unused/package.json", { name: "unused", version: "1.0.0" });
+
+    const result = await inspectDependencies(projectDir);
+
+    assert.deepEqual(result.dependencies.map(d => [d.name, d.status]), [["a", "ok"], ["b", "mismatch"], ["missing", "missing"], ["git", "unknown"]]);
+    assert.deepEqual(result.dependencies[0].dependencies.map(d => [d.name, d.location, d.status]), [["c", "node_modules/a/node_modules/c", "ok"]]);
+    assert.deepEqual(result.missing, [{ name: "missing", type: "dependencies", range: "^1.0.0" }]);
+    assert.deepEqual(result.mismatched, [{ name: "b", type: "dependencies", range: "^2.0.0", installed: "1.0.0" }]);
+    assert.deepEqual(result.extraneous, [{ name: "unused", version: "1.0.0", location: "node_modules/unused" }]);
+});
+
+test("the locked versions come from the package-lock.json", async () => {
+    await writeJson("package.json", { name: "app", version: "1.0.0", dependencies: { a: "^1.0.0" } });
+    await writeJson("package-lock.json", {
+        lockfileVersion: 3,
+        packages: { "": { name: "app" }, "node_modules/a": { version: "1.3.0" } }
+    });
+
+    const result = await inspectDependencies(projectDir);
+
+    assert.equal(result.lockfileVersion, 3);
+    assert.deepEqual(result.dependencies.map(d => [d.name, d.version, d.installed, d.status]), [["a", "1.3.0", null, "missing"]]);
+});
+
+test("a project without package.json or with an invalid one is refused", async () => {
+    await assert.rejects(inspectDependencies(projectDir), { statusCode: 404 });
+    await writeFile(path.join(projectDir, "package.json"), "{ invalid");
+    await assert.rejects(inspectDependencies(projectDir), { statusCode: 400 });
+});
@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePackageSpecs } from '../npm-jobs.mjs';
+
+test("parsePackageSpecs accepts names, scopes, versions and tags", () => {
+    assert.deepEqual(parsePackageSpecs("lodash @scope/pkg@^1.2.0 pkg@latest"), ["lodash", "@scope/pkg@^1.2.0", "pkg@latest"]);
+    assert.deepEqual(parsePackageSpecs(["pkg@>=1.0.0 <2.0.0"]), ["pkg@>=1.0.0 <2.0.0"]);
+    assert.deepEqual(parsePackageSpecs(undefined), []);
+});
+
+test("parsePackageSpecs rejects the npm options", () => {
+    for (const spec of ["--no-ignore-scripts", "--foreground-scripts", "--global", "-g", "--save-dev", "-", "@-scope/pkg"]) {
+        assert.throws(() => parsePackageSpecs([spec]), { statusCode: 400 }, spec);
+    }
+    assert.throws(() => parsePackageSpecs("lodash --no-ignore-scripts"), { statusCode: 400 });
+});
+
+test("parsePackageSpecs rejects urls, paths and shell characters", () => {
+    for (const spec of ["git+https://host/repo.git", "../other", "file:../x", "pkg;rm -rf /", "Pkg$(id)"]) {
+        assert.throws(() => parsePackageSpecs([spec]), { statusCode: 400 }, spec);
+    }
+});
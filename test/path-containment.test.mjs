@@ -0,0 +1,93 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { access, readFile, writeFile } from 'fs/promises';
+import { mkdirs } from 'fs-extra/esm';
+import path from 'path';
+import { startFileApi, saveFile, postJson } from './helpers/file-api-server.mjs';
+
+let api;
+
+const exists = (filePath) => access(filePath).then(() => true, () => false);
+
+before(async () => {
+    api = await startFileApi();
+    assert.equal((await saveFile(api.url, "app1", "a.txt", "secret of app1\n")).status, 200);
+    assert.equal((await saveFile(api.url, "app2", "b.txt", "b\n")).status, 200);
+    await mkdirs(path.join(api.dataDir, "apps", "app2", "public", "sub"));
+    await writeFile(path.join(api.dataDir, "apps", "app2", "public", "untracked.txt"), "not committed\n");
+});
+
+after(async () => {
+    await api.close();
+});
+
+test("move refuses the paths going out of the app", async () => {
+    const outside = await postJson(`${api.url}/files/app2/move`, { path: "untracked.txt", newPath: "../../app1/public/stolen.txt" });
+    assert.equal(outside.status, 500);
+    assert.equal(await exists(path.join(api.appPath("app1"), "stolen.txt")), false);
+
+    const inside = await postJson(`${api.url}/files/app2/move`, { path: "../../app1/public/a.txt", newPath: "copy.txt" });
+    assert.equal(inside.status, 500);
+    assert.equal(await exists(path.join(api.appPath("app1"), "a.txt")), true);
+
+    assert.equal((await postJson(`${api.url}/files/app2/move`, { path: "untracked.txt", newPath: "sub/moved.txt" })).status, 200);
+});
+
+test("the files of another app can't be read or written", async () => {
+    assert.equal((await fetch(`${api.url}/files/app2/content?path=../../app1/public/a.txt`)).status, 500);
+    assert.equal((await saveFile(api.url, "app2", "../../app1/public/a.txt", "overwritten\n")).status, 500);
+    assert.equal((await fetch(`${api.url}/files/app2/delete?path=../../app1/public/a.txt`)).status, 500);
+    assert.equal((await fetch(`${api.url}/files/app2?path=../../app1/public`)).status, 500);
+    assert.equal(await readFile(path.join(api.appPath("app1"), "a.txt"), "utf-8"), "secret of app1\n");
+});
+
+test("replace, restore of a file and npm routes refuse the paths going out of the app", async () => {
+    const replace = await postJson(`${api.url}/files/app2/replace/apply`, { query: "secret", replacement: "x", files: [{ path: "../../app1/public/a.txt" }] });
+    assert.equal(replace.status, 500);
+
+    const history = await (await fetch(`${api.url}/git/history/list/app1`)).json();
+    const restore = await postJson(`${api.url}/git/restoreFile/app2`, { path: "../../app1/public/a.txt", hash: history[0].hash });
+    assert.equal(restore.status, 500);
+
+    assert.equal(await readFile(path.join(api.appPath("app1"), "a.txt"), "utf-8"), "secret of app1\n");
+
+    assert.equal((await fetch(`${api.url}/npm/dependencies/app2?filePackage=../../app1/public/package.json`)).status, 500);
+    assert.equal((await postJson(`${api.url}/npmInstall/app2`, { filePackage: "../../app1/public/package.json" })).status, 500);
+});
+
+test("the diff of an uncommitted file refuses the paths going out of the app", async () => {
+    assert.equal((await fetch(`${api.url}/git/status/diff/app2?path=../../app1/public/a.txt`)).status, 500);
+    assert.equal((await fetch(`${api.url}/git/status/diff/app2?path=untracked.txt&previousPath=../../app1/public/a.txt`)).status, 500);
+    assert.equal((await fetch(`${api.url}/git/status/diff/app2?path=untracked.txt`)).status, 200);
+});
+
+test("the directory of the app itself can't be deleted, moved or written", async () => {
+    for (const root of ["/", ".", "sub/.."]) {
+        assert.equal((await fetch(`${api.url}/files/app2/deleteDir?path=${encodeURIComponent(root)}`)).status, 500, root);
+        assert.equal((await fetch(`${api.url}/files/app2/delete?path=${encodeURIComponent(root)}`)).status, 500, root);
+        assert.equal((await postJson(`${api.url}/files/app2/move`, { path: root, newPath: "sub/moved" })).status, 500, root);
+        assert.equal((await saveFile(api.url, "app2", root, "overwritten\n")).status, 500, root);
+    }
+    assert.equal(await exists(path.join(api.appPath("app2"), ".git")), true);
+    assert.equal(await readFile(path.join(api.appPath("app2"), "b.txt"), "utf-8"), "b\n");
+
+    // the app directory can still be listed
+    assert.equal((await fetch(`${api.url}/files/app2?path=/`)).status, 200);
+});
+
+test("a bulk upload refuses the invalid paths file by file", async () => {
+    const form = new FormData();
+    for (const name of ["one.txt", "two.txt", "three.txt"]) {
+        form.append("files", new Blob([`${name}\n`]), name);
+    }
+    form.append("paths", JSON.stringify([{ path: "x" }, "../../app1/public/a.txt", "uploaded/two.txt"]));
+
+    const response = await fetch(`${api.url}/files/app2/upload`, { method: "POST", body: form });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual((await response.json()).files.map(file => [file.success, file.error]), [
+        [false, "Forbidden path"], [false, "Forbidden path"], [true, undefined]
+    ]);
+    assert.equal(await readFile(path.join(api.appPath("app2"), "uploaded/two.txt"), "utf-8"), "three.txt\n");
+    assert.equal(await readFile(path.join(api.appPath("app1"), "a.txt"), "utf-8"), "secret of app1\n");
+});
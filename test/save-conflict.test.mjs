@@ -0,0 +1,89 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFileApi, saveFile, postJson } from './helpers/file-api-server.mjs';
+import { mergeFileContents } from '../git.mjs';
+
+let api;
+
+before(async () => {
+    api = await startFileApi();
+});
+
+after(async () => {
+    await api.close();
+});
+
+async function readVersion(appName, filePath) {
+    const response = await fetch(`${api.url}/files/${appName}/content?path=${encodeURIComponent(filePath)}`);
+    assert.equal(response.status, 200);
+    return { content: await response.text(), hash: response.headers.get("X-File-Hash") };
+}
+
+test("a save based on an old version is merged with the version saved meanwhile", async () => {
+    assert.equal((await saveFile(api.url, "app1", "a.txt", "a\nb\nc\n")).status, 200);
+    const read = await readVersion("app1", "a.txt");
+
+    // another user modifies the first line
+    const other = await saveFile(api.url, "app1", "a.txt", "A\nb\nc\n", { baseHash: read.hash });
+    assert.equal(other.status, 200);
+
+    // the client appends a line to the version it read
+    const response = await saveFile(api.url, "app1", "a.txt", "a\nb\nc\nd\n", { baseHash: read.hash });
+    assert.equal(response.status, 409);
+    const conflict = await response.json();
+    assert.equal(conflict.currentContent, "A\nb\nc\n");
+    assert.deepEqual(conflict.merge, { content: "A\nb\nc\nd\n", clean: true, conflicts: 0 });
+
+    // the merged content is saved on the hash of the current version
+    const merged = await saveFile(api.url, "app1", "a.txt", conflict.merge.content, { baseHash: conflict.hash });
+    assert.equal(merged.status, 200);
+});
+
+test("the hash of a save is the base of the next save", async () => {
+    const first = await (await saveFile(api.url, "app1", "b.txt", "1\n2\n")).json();
+    assert.equal((await saveFile(api.url, "app1", "b.txt", "1\n2\n3\n", { baseHash: first.hash })).status, 200);
+    assert.equal((await saveFile(api.url, "app1", "b.txt", "one\n2\n", { baseHash: first.hash })).status, 409);
+});
+
+test("the base is found for a version never committed (draft mode)", async () => {
+    assert.equal((await postJson(`${api.url}/settings/app2`, { draftMode: { public: true } })).status, 200);
+    assert.equal((await saveFile(api.url, "app2", "a.txt", "a\nb\nc\n")).status, 200);
+    const read = await readVersion("app2", "a.txt");
+    assert.equal((await saveFile(api.url, "app2", "a.txt", "A\nb\nc\n", { baseHash: read.hash })).status, 200);
+
+    const response = await saveFile(api.url, "app2", "a.txt", "a\nb\nc\nd\n", { baseHash: read.hash });
+    assert.equal(response.status, 409);
+    assert.deepEqual((await response.json()).merge, { content: "A\nb\nc\nd\n", clean: true, conflicts: 0 });
+});
+
+test("the base of a save must be a hash or a commit", async () => {
+    assert.equal((await saveFile(api.url, "app1", "a.txt", "x", { baseHash: "--output=/tmp/x" })).status, 400);
+    assert.equal((await saveFile(api.url, "app1", "a.txt", "x", { baseCommit: "HEAD~1" })).status, 400);
+    assert.equal((await saveFile(api.url, "app1", "a.txt", "x", { baseLastModified: "yesterday" })).status, 400);
+});
+
+test("the modification date is the base when the client gives no hash", async () => {
+    assert.equal((await saveFile(api.url, "app1", "c.txt", "a\n")).status, 200);
+    const read = await fetch(`${api.url}/files/app1/content?path=c.txt`);
+    const lastModified = read.headers.get("X-Last-Modified");
+    // the modification date changes
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal((await saveFile(api.url, "app1", "c.txt", "b\n", { baseLastModified: lastModified })).status, 200);
+
+    const response = await saveFile(api.url, "app1", "c.txt", "c\n", { baseLastModified: lastModified });
+    assert.equal(response.status, 409);
+    const conflict = await response.json();
+    assert.equal(conflict.currentContent, "b\n");
+    assert.equal(conflict.merge, null);
+});
+
+test("the three-way merge keeps both sides or marks the conflicts", async () => {
+    const base = "a\nb\nc\n";
+    assert.deepEqual(await mergeFileContents({ ours: "A\nb\nc\n", base, theirs: "a\nb\nC\n" }),
+        { content: "A\nb\nC\n", clean: true, conflicts: 0 });
+
+    const conflict = await mergeFileContents({ ours: "mine\nb\nc\n", base, theirs: "yours\nb\nc\n" }, { oursLabel: "saved", theirsLabel: "editor" });
+    assert.equal(conflict.clean, false);
+    assert.equal(conflict.conflicts, 1);
+    assert.equal(conflict.content, "<<<<<<< saved\nmine\n=======\nyours\n>>>>>>> editor\nb\nc\n");
+});
@@ -0,0 +1,60 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile } from 'fs/promises';
+import { remove } from 'fs-extra/esm';
+import os from 'os';
+import path from 'path';
+import { buildSearchRegExp, hasNestedRepetition, runSearchTasks } from '../search.mjs';
+
+let baseDir;
+
+before(async () => {
+    baseDir = await mkdtemp(path.join(os.tmpdir(), "code-editor-search-"));
+    await writeFile(path.join(baseDir, "a.txt"), "hello world\n" + "a".repeat(40) + "b\n");
+    await writeFile(path.join(baseDir, ".gitignore"), "ignored.txt\n");
+    await writeFile(path.join(baseDir, "ignored.txt"), "hello\n");
+});
+
+after(async () => {
+    await remove(baseDir);
+});
+
+test("the regular expressions with nested repetitions are refused", () => {
+    for (const source of ["(a+)+$", "(\\w*\\s?)*", "([a-z]+)*x", "(a{2,})+"]) {
+        assert.equal(hasNestedRepetition(source), true, source);
+        assert.throws(() => buildSearchRegExp({ query: source, regex: true }), { statusCode: 400 }, source);
+    }
+    for (const source of ["a+b+", "(foo|bar)+", "[(]+a*", "\\(a+\\)+", "(\\d+\\.)?\\d+", "(?:x|y)+"]) {
+        assert.equal(hasNestedRepetition(source), false, source);
+    }
+    // the text searches are escaped
+    assert.doesNotThrow(() => buildSearchRegExp({ query: "(a+)+" }));
+});
+
+test("the search runs in a worker with the ignore rules", async () => {
+    const [result] = await runSearchTasks([{ name: "searchFiles", args: [baseDir, { query: "hello", ignoreRules: {} }] }]);
+    assert.deepEqual(result.files.map(file => file.path), ["a.txt"]);
+    assert.equal(result.files[0].matches[0].line, 1);
+});
+
+test("a too slow regular expression is stopped without blocking the server", async () => {
+    let ticks = 0;
+    const interval = setInterval(() => ticks++, 50);
+    const start = Date.now();
+    try {
+        await assert.rejects(
+            runSearchTasks([{ name: "searchFiles", args: [baseDir, { query: "(a|a)*$", regex: true, ignoreRules: {} }] }], { timeout: 500 }),
+            { statusCode: 408 }
+        );
+    } finally {
+        clearInterval(interval);
+    }
+    assert.ok(Date.now() - start < 5000);
+    // the event loop kept running during the search
+    assert.ok(ticks >= 5, `only ${ticks} ticks`);
+});
+
+test("the errors of the worker keep their status", async () => {
+    await assert.rejects(runSearchTasks([{ name: "applyReplacementsInText", args: ["x", { query: "(", regex: true, replacement: "", selected: [] }] }]),
+        { statusCode: 400 });
+});
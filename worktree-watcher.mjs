@@ -0,0 +1,95 @@
+import { watch } from 'fs';
+import { readdir, stat } from 'fs/promises';
+import path from 'path';
+
+const DEFAULT_IGNORED = [".git", "node_modules"];
+
+const isIgnoredByDefault = (relativePath) => DEFAULT_IGNORED.includes(path.basename(relativePath));
+
+/**
+ * Watch all the files of a worktree (public or branch directory)
+ *
+ * Each directory is watched separately so the ignored directories (.git, node_modules by default) are never traversed
+ *
+ * @param {string} basePath - Path of the worktree
+ * @param {function} onChange - Called with the path (relative to basePath) of each created, modified or deleted file or directory
+ * @param {Object} [options] - Options
+ * @param {function} [options.isIgnored] - isIgnored(relativePath, isDirectory) returns true for the files and directories to ignore
+ * (see loadIgnoreRules), .git and node_modules by default
+ * @param {Object} [options.logger] - Logger
+ * @returns {Object} - {close} to stop watching
+ */
+export function watchWorktree(basePath, onChange, { isIgnored = isIgnoredByDefault, logger } = {}) {
+    const watchers = new Map();
+    let closed = false;
+
+    const unwatchDir = (dir) => {
+        for (const [watchedDir, watcher] of watchers) {
+            if (watchedDir === dir || watchedDir.startsWith(dir + path.sep)) {
+                watcher.close();
+                watchers.delete(watchedDir);
+            }
+        }
+    };
+
+    const watchDir = async (dir) => {
+        if (closed || watchers.has(dir)) {
+            return;
+        }
+        let watcher;
+        try {
+            watcher = watch(dir, (eventType, fileName) => {
+                if (!fileName) {
+                    return;
+                }
+                const filePath = path.join(dir, fileName.toString());
+                const relativePath = path.relative(basePath, filePath);
+                stat(filePath).then(statFile => {
+                    if (isIgnored(relativePath, statFile.isDirectory())) {
+                        return;
+                    }
+                    onChange(relativePath);
+                    if (statFile.isDirectory()) {
+                        // new directory, watch its content too
+                        return watchDir(filePath);
+                    }
+                }, () => {
+                    unwatchDir(filePath);
+                    if (!isIgnored(relativePath, false)) {
+                        onChange(relativePath);
+                    }
+                });
+            });
+        } catch (err) {
+            logger?.warn(`Can't watch directory ${dir} %o`, err);
+            return;
+        }
+        watcher.on('error', () => unwatchDir(dir));
+        watchers.set(dir, watcher);
+
+        let entries = [];
+        try {
+            entries = await readdir(dir, { withFileTypes: true });
+        // eslint-disable-next-line no-unused-vars
+        } catch (err) {
+            // directory removed in the meantime
+        }
+        for (const entry of entries) {
+            if (entry.isDirectory() && !isIgnored(path.relative(basePath, path.join(dir, entry.name)), true)) {
+                await watchDir(path.join(dir, entry.name));
+            }
+        }
+    };
+
+    watchDir(basePath);
+
+    return {
+        close: () => {
+            closed = true;
+            for (const watcher of watchers.values()) {
+                watcher.close();
+            }
+            watchers.clear();
+        }
+    };
+}